@@ -0,0 +1,118 @@
+// Aircraft noise estimate at ground level.
+//
+// The source level depends on what the engines and airframe are doing (climb thrust,
+// approach configuration or level flight) and on airspeed. It is expressed as the level
+// heard REFERENCE_DISTANCE_METERS from the aircraft, roughly how NPD (noise-power-distance)
+// tables are quoted, and then attenuated over the slant distance to each ground point.
+
+export const REFERENCE_DISTANCE_METERS = 305; // 1000 ft
+
+export const UNKNOWN_ALTITUDE_METERS = 3000;
+const ATMOSPHERIC_ABSORPTION_DB_PER_METER = 0.004; // hot, humid air, A-weighted jet spectrum
+const CLIMB_RATE_THRESHOLD = 2.5; // m/s
+const MAX_SPEED_CORRECTION_DB = 5;
+
+// Typical single-aisle/widebody mix, dB(A) at 305 m
+export const PHASE_SOURCE_LEVELS = {
+  climb: { level: 94, referenceSpeedMs: 90 },
+  descent: { level: 89, referenceSpeedMs: 75 },
+  level: { level: 86, referenceSpeedMs: 230 }
+};
+
+export function classifyThrustPhase(verticalRate) {
+  if (verticalRate === null || verticalRate === undefined) return 'level';
+  if (verticalRate > CLIMB_RATE_THRESHOLD) return 'climb';
+  if (verticalRate < -CLIMB_RATE_THRESHOLD) return 'descent';
+  return 'level';
+}
+
+export function estimateSourceLevel({ phase, speedMs }) {
+  const { level, referenceSpeedMs } = PHASE_SOURCE_LEVELS[phase] ?? PHASE_SOURCE_LEVELS.level;
+  if (!speedMs || speedMs <= 0) return level;
+
+  // Faster than typical for the phase means more thrust / airframe noise, and vice versa
+  const speedCorrection = 10 * Math.log10(speedMs / referenceSpeedMs);
+  return level + Math.max(-MAX_SPEED_CORRECTION_DB, Math.min(MAX_SPEED_CORRECTION_DB, speedCorrection));
+}
+
+// Spherical spreading plus atmospheric absorption beyond the reference distance
+export function attenuate(sourceLevel, slantDistanceMeters) {
+  const distance = Math.max(slantDistanceMeters, 1);
+  return sourceLevel
+    - 20 * Math.log10(distance / REFERENCE_DISTANCE_METERS)
+    - ATMOSPHERIC_ABSORPTION_DB_PER_METER * (distance - REFERENCE_DISTANCE_METERS);
+}
+
+// Slant distance at which the level drops to `threshold` (attenuation is monotonic, so bisect)
+function audibleSlantDistance(sourceLevel, threshold, maxDistance) {
+  if (attenuate(sourceLevel, 1) < threshold) return 0;
+  if (attenuate(sourceLevel, maxDistance) >= threshold) return maxDistance;
+
+  let low = 1;
+  let high = maxDistance;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (attenuate(sourceLevel, mid) >= threshold) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Footprint cells line up with the fusion grid: cell (row, col) spans
+// [row * cellSize, (row + 1) * cellSize) and is reported by its centre
+export function estimateAircraftNoise({
+  lat,
+  lng,
+  altitude,
+  speedMs,
+  verticalRate,
+  cellSize = 0.01,
+  threshold = 50,
+  maxSlantDistance = 15000
+}) {
+  const height = Math.max(0, altitude ?? UNKNOWN_ALTITUDE_METERS);
+  const phase = classifyThrustPhase(verticalRate);
+  const sourceLevel = estimateSourceLevel({ phase, speedMs });
+  const groundLevel = attenuate(sourceLevel, Math.max(height, 1));
+
+  const footprint = [];
+  const slantLimit = audibleSlantDistance(sourceLevel, threshold, maxSlantDistance);
+
+  if (slantLimit > height) {
+    const radius = Math.sqrt(slantLimit ** 2 - height ** 2);
+    const metersPerDegLat = 111320;
+    const metersPerDegLng = 111320 * Math.cos(lat * Math.PI / 180);
+
+    const minRow = Math.floor((lat - radius / metersPerDegLat) / cellSize);
+    const maxRow = Math.floor((lat + radius / metersPerDegLat) / cellSize);
+    const minCol = Math.floor((lng - radius / metersPerDegLng) / cellSize);
+    const maxCol = Math.floor((lng + radius / metersPerDegLng) / cellSize);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cellLat = (row + 0.5) * cellSize;
+        const cellLng = (col + 0.5) * cellSize;
+        const dx = (cellLng - lng) * metersPerDegLng;
+        const dy = (cellLat - lat) * metersPerDegLat;
+        const level = attenuate(sourceLevel, Math.sqrt(dx * dx + dy * dy + height * height));
+
+        if (level >= threshold) {
+          footprint.push({
+            lat: Number(cellLat.toFixed(6)),
+            lng: Number(cellLng.toFixed(6)),
+            noiseLevel: round1(level)
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    phase,
+    sourceLevel: round1(sourceLevel),
+    groundLevel: round1(Math.max(0, groundLevel)),
+    footprint
+  };
+}
@@ -0,0 +1,155 @@
+import { distanceMeters, bearingDegrees, headingDifference, offsetPoint } from './geo.js';
+
+// UAE airports with runway geometry. Runway centres and true headings are approximate,
+// which is plenty for telling approach/departure corridors apart at kilometre scale.
+// `heading` is the true heading when using designators[0]; the reciprocal is +180.
+export const UAE_AIRPORTS = [
+  {
+    code: 'DXB',
+    name: 'Dubai International',
+    reference: { lat: 25.2528, lng: 55.3644 },
+    elevation: 19,
+    runways: [
+      { designators: ['12L', '30R'], center: { lat: 25.2528, lng: 55.3638 }, heading: 121, lengthMeters: 4000 },
+      { designators: ['12R', '30L'], center: { lat: 25.2497, lng: 55.3617 }, heading: 121, lengthMeters: 4447 }
+    ]
+  },
+  {
+    code: 'DWC',
+    name: 'Al Maktoum International',
+    reference: { lat: 24.8964, lng: 55.1614 },
+    elevation: 34,
+    runways: [
+      { designators: ['12', '30'], center: { lat: 24.8964, lng: 55.1614 }, heading: 121, lengthMeters: 4500 }
+    ]
+  },
+  {
+    code: 'AUH',
+    name: 'Zayed International (Abu Dhabi)',
+    reference: { lat: 24.4330, lng: 54.6511 },
+    elevation: 27,
+    runways: [
+      { designators: ['13L', '31R'], center: { lat: 24.4418, lng: 54.6621 }, heading: 133, lengthMeters: 4100 },
+      { designators: ['13R', '31L'], center: { lat: 24.4280, lng: 54.6480 }, heading: 133, lengthMeters: 4100 }
+    ]
+  },
+  {
+    code: 'SHJ',
+    name: 'Sharjah International',
+    reference: { lat: 25.3286, lng: 55.5172 },
+    elevation: 34,
+    runways: [
+      { designators: ['12', '30'], center: { lat: 25.3286, lng: 55.5172 }, heading: 121, lengthMeters: 4060 }
+    ]
+  }
+];
+
+export const FLIGHT_PHASES = ['departure', 'arrival', 'overflight', 'ground_adjacent'];
+
+const TERMINAL_AREA_RADIUS_METERS = 30000;
+const MAX_TERMINAL_ALTITUDE_AGL = 3000;
+const GROUND_ADJACENT_ALTITUDE_AGL = 150;
+const GROUND_ADJACENT_RADIUS_METERS = 6000;
+const RUNWAY_HEADING_TOLERANCE = 30; // degrees
+const CENTERLINE_TOLERANCE_METERS = 4000;
+const VERTICAL_RATE_THRESHOLD = 1; // m/s
+
+// Each runway can be used in both directions
+const RUNWAY_DIRECTIONS = UAE_AIRPORTS.flatMap(airport =>
+  airport.runways.flatMap(runway => [
+    { airport, designator: runway.designators[0], heading: runway.heading, center: runway.center },
+    { airport, designator: runway.designators[1], heading: (runway.heading + 180) % 360, center: runway.center }
+  ])
+);
+
+export function findNearestAirport(position) {
+  let nearest = null;
+  for (const airport of UAE_AIRPORTS) {
+    const distance = distanceMeters(position, airport.reference);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { airport, distance };
+    }
+  }
+  return nearest;
+}
+
+// Along-track / cross-track position of a point relative to a runway direction's centre
+function runwayFrame(position, direction) {
+  const distance = distanceMeters(direction.center, position);
+  const angle = (bearingDegrees(direction.center, position) - direction.heading) * Math.PI / 180;
+  return {
+    along: distance * Math.cos(angle),
+    cross: Math.abs(distance * Math.sin(angle))
+  };
+}
+
+function alignedRunwayDirection(position, airport, trueTrack) {
+  let best = null;
+  for (const direction of RUNWAY_DIRECTIONS) {
+    if (direction.airport !== airport) continue;
+    if (headingDifference(trueTrack, direction.heading) > RUNWAY_HEADING_TOLERANCE) continue;
+
+    const frame = runwayFrame(position, direction);
+    if (frame.cross > CENTERLINE_TOLERANCE_METERS) continue;
+    if (!best || frame.cross < best.frame.cross) {
+      best = { direction, frame };
+    }
+  }
+  return best;
+}
+
+// state: { lat, lng, altitude (m, MSL), trueTrack (deg), verticalRate (m/s) }
+// Returns { phase, airport, runway, distanceKm }; airport/runway are null for overflights
+export function classifyFlightPhase({ lat, lng, altitude, trueTrack, verticalRate }) {
+  const position = { lat, lng };
+  const nearest = findNearestAirport(position);
+  const overflight = { phase: 'overflight', airport: null, runway: null, distanceKm: null };
+
+  if (!nearest || nearest.distance > TERMINAL_AREA_RADIUS_METERS) return overflight;
+  if (altitude === null || altitude === undefined) return overflight;
+
+  const { airport, distance } = nearest;
+  const agl = altitude - airport.elevation;
+  const distanceKm = Math.round(distance / 100) / 10;
+
+  if (agl > MAX_TERMINAL_ALTITUDE_AGL) return overflight;
+
+  if (agl < GROUND_ADJACENT_ALTITUDE_AGL && distance < GROUND_ADJACENT_RADIUS_METERS) {
+    return { phase: 'ground_adjacent', airport: airport.code, runway: null, distanceKm };
+  }
+
+  const rate = verticalRate ?? 0;
+
+  if (trueTrack !== null && trueTrack !== undefined) {
+    // On the extended centreline: short of the runway means landing, past it means taking off
+    const aligned = alignedRunwayDirection(position, airport, trueTrack);
+    if (aligned) {
+      const approaching = aligned.frame.along < 0;
+      // A firm climb short of the runway is a go-around, which we count as departing traffic
+      const phase = approaching && rate <= VERTICAL_RATE_THRESHOLD * 3 ? 'arrival' : 'departure';
+      return { phase, airport: airport.code, runway: aligned.direction.designator, distanceKm };
+    }
+
+    // Manoeuvring in the terminal area: climbing away or descending towards the field
+    const towards = headingDifference(trueTrack, bearingDegrees(position, airport.reference)) < 90;
+    if (rate < -VERTICAL_RATE_THRESHOLD && towards) {
+      return { phase: 'arrival', airport: airport.code, runway: null, distanceKm };
+    }
+    if (rate > VERTICAL_RATE_THRESHOLD && !towards) {
+      return { phase: 'departure', airport: airport.code, runway: null, distanceKm };
+    }
+  } else if (Math.abs(rate) > VERTICAL_RATE_THRESHOLD) {
+    return { phase: rate > 0 ? 'departure' : 'arrival', airport: airport.code, runway: null, distanceKm };
+  }
+
+  return overflight;
+}
+
+// Runway threshold positions, handy for drawing corridors on the map
+export function runwayThresholds(runway) {
+  const half = runway.lengthMeters / 2;
+  return {
+    [runway.designators[0]]: offsetPoint(runway.center, (runway.heading + 180) % 360, half),
+    [runway.designators[1]]: offsetPoint(runway.center, runway.heading, half)
+  };
+}
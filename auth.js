@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Sessions: a short-lived JWT access token plus an opaque refresh token.
+//
+// Refresh tokens are stored hashed in refresh_tokens and rotate on every use; all tokens
+// descended from one login share a session_id. Presenting a refresh token that has already
+// been rotated means it was copied, so the whole session is revoked.
+//
+// Access tokens carry the user's token_version. authenticate() checks it (and the account's
+// current role and disabled flag) on every request, and revokeAllSessions() bumps it, so a
+// password reset, "log out everywhere" or a disabled account cuts off tokens already issued
+// rather than leaving them valid until they expire.
+
+const DEFAULT_ACCESS_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+export const ROLES = ['user', 'admin'];
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization;
+  return header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+export function createAuthService(pool, env = process.env) {
+  const accessTokenTtlSeconds = (parseInt(env.ACCESS_TOKEN_TTL_MINUTES) || DEFAULT_ACCESS_TOKEN_TTL_MINUTES) * 60;
+  const refreshTokenTtlDays = parseInt(env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+
+  async function revokeSession(sessionId) {
+    await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = $1 AND revoked_at IS NULL',
+      [sessionId]
+    );
+  }
+
+  // Starts a new session, or continues `sessionId` when rotating
+  async function issueTokens(user, { sessionId = crypto.randomUUID(), userAgent = null, ip = null } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    await pool.query(
+      `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, user_agent, ip)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)`,
+      [String(user.id), sessionId, hashToken(refreshToken), refreshTokenTtlDays, userAgent, ip]
+    );
+
+    const accessToken = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role ?? 'user', sid: sessionId, tv: user.token_version ?? 0 },
+      env.JWT_SECRET,
+      { expiresIn: accessTokenTtlSeconds }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: accessTokenTtlSeconds
+    };
+  }
+
+  // Signature and expiry only. Returns { userId, email, role, sessionId, tokenVersion }; throws AuthError
+  function verifyAccessToken(token) {
+    try {
+      const { userId, email, role, sid, tv } = jwt.verify(token, env.JWT_SECRET);
+      return { userId, email, role: role ?? 'user', sessionId: sid ?? null, tokenVersion: tv ?? 0 };
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Access token has expired.' : 'Invalid access token.');
+    }
+  }
+
+  // verifyAccessToken plus the account's current state; the role comes from the database so
+  // role changes apply straight away. Throws AuthError.
+  async function authenticate(token) {
+    const claims = verifyAccessToken(token);
+    const { rows } = await pool.query(
+      'SELECT role, token_version FROM users WHERE id::text = $1 AND disabled_at IS NULL',
+      [String(claims.userId)]
+    );
+    if (rows.length === 0 || rows[0].token_version !== claims.tokenVersion) {
+      throw new AuthError('Session has been revoked. Please log in again.');
+    }
+    return { ...claims, role: rows[0].role };
+  }
+
+  // Express middleware: 401 unless the request carries a valid access token; sets req.user
+  async function requireAuth(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    try {
+      req.user = await authenticate(token);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('❌ Error checking access token:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'An internal server error occurred.'
+        });
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  }
+
+  return {
+    issueTokens,
+    verifyAccessToken,
+    authenticate,
+    requireAuth,
+
+    // Middleware for routes limited to some roles: requireAuth, then 403 for anyone else
+    requireRole(...roles) {
+      return [requireAuth, (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to do this.'
+          });
+        }
+        next();
+      }];
+    },
+
+    // Swaps a refresh token for a new pair; throws AuthError
+    async rotateRefreshToken(refreshToken, meta = {}) {
+      const tokenHash = hashToken(refreshToken);
+
+      // Claiming the token atomically means two concurrent refreshes can't both succeed
+      const { rows } = await pool.query(
+        `UPDATE refresh_tokens
+         SET revoked_at = NOW(), rotated = true
+         WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING user_id, session_id`,
+        [tokenHash]
+      );
+
+      if (rows.length === 0) {
+        const { rows: previous } = await pool.query(
+          'SELECT session_id, rotated FROM refresh_tokens WHERE token_hash = $1',
+          [tokenHash]
+        );
+        if (previous[0]?.rotated) {
+          console.warn(`🚨 Refresh token reuse detected, revoking session ${previous[0].session_id}`);
+          await revokeSession(previous[0].session_id);
+        }
+        throw new AuthError('Invalid or expired refresh token.');
+      }
+
+      const { user_id: userId, session_id: sessionId } = rows[0];
+      const { rows: users } = await pool.query(
+        'SELECT id, email, role, token_version FROM users WHERE id::text = $1 AND disabled_at IS NULL',
+        [userId]
+      );
+      if (users.length === 0) {
+        await revokeSession(sessionId);
+        throw new AuthError('Invalid or expired refresh token.');
+      }
+
+      return issueTokens(users[0], { ...meta, sessionId });
+    },
+
+    // Ends the session the refresh token belongs to; returns the user id, or null if the
+    // token isn't currently valid
+    async revokeRefreshToken(refreshToken) {
+      const { rows } = await pool.query(
+        `SELECT user_id, session_id FROM refresh_tokens
+         WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [hashToken(refreshToken)]
+      );
+      if (rows.length === 0) return null;
+
+      await revokeSession(rows[0].session_id);
+      return rows[0].user_id;
+    },
+
+    // Ends every session, including access tokens already handed out; returns how many
+    // refresh tokens were revoked. Pass a client to make it part of that client's transaction.
+    async revokeAllSessions(userId, db = pool) {
+      await db.query('UPDATE users SET token_version = token_version + 1 WHERE id::text = $1', [String(userId)]);
+      const { rowCount } = await db.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [String(userId)]
+      );
+      return rowCount;
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+
+// Administrative boundaries (emirates and their districts/communities) in PostGIS.
+//
+// Polygons come from GeoJSON FeatureCollections named by EMIRATE_BOUNDARIES_FILE and
+// DISTRICT_BOUNDARIES_FILE. Each feature needs a Polygon or MultiPolygon geometry and a
+// name; districts also need the emirate they belong to. Plain `name` / `emirate`
+// properties are read first, then the GADM ones (NAME_1 = emirate, NAME_2 = district),
+// so a GADM export can be used as-is.
+
+export const BOUNDARY_LEVELS = ['emirate', 'district'];
+
+function featureNames(properties, level) {
+  if (level === 'emirate') {
+    const name = properties.name ?? properties.NAME_1;
+    return { name, emirate: name };
+  }
+  return {
+    name: properties.name ?? properties.NAME_2,
+    emirate: properties.emirate ?? properties.NAME_1
+  };
+}
+
+export async function readBoundaryFile(filePath, level) {
+  const collection = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error(`${filePath} is not a GeoJSON FeatureCollection`);
+  }
+
+  const boundaries = [];
+  let skipped = 0;
+  for (const feature of collection.features) {
+    const { name, emirate } = featureNames(feature.properties ?? {}, level);
+    const type = feature.geometry?.type;
+    if (!name || !emirate || (type !== 'Polygon' && type !== 'MultiPolygon')) {
+      skipped++;
+      continue;
+    }
+    boundaries.push({ level, name: String(name).trim(), emirate: String(emirate).trim(), geometry: feature.geometry });
+  }
+
+  if (skipped > 0) {
+    console.warn(`⚠️ Skipped ${skipped} ${level} features in ${filePath} without a name or polygon geometry`);
+  }
+  return boundaries;
+}
+
+// Upserts every boundary from the configured files; returns how many were loaded per level
+export async function loadBoundaries(pool, { emirateFile, districtFile } = {}) {
+  const files = { emirate: emirateFile, district: districtFile };
+  const loaded = {};
+
+  for (const level of BOUNDARY_LEVELS) {
+    if (!files[level]) continue;
+    const boundaries = await readBoundaryFile(files[level], level);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const boundary of boundaries) {
+        // ST_MakeValid + ST_CollectionExtract keeps self-intersecting source polygons usable
+        await client.query(
+          `INSERT INTO boundaries (level, name, emirate, geom)
+           VALUES ($1, $2, $3, ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON($4), 4326)), 3)))
+           ON CONFLICT (level, emirate, name) DO UPDATE
+             SET geom = EXCLUDED.geom, updated_at = NOW()`,
+          [boundary.level, boundary.name, boundary.emirate, JSON.stringify(boundary.geometry)]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    loaded[level] = boundaries.length;
+  }
+
+  return loaded;
+}
+
+// Point-in-polygon for a batch of { lat, lng } in one round trip.
+// Returns [{ emirate, district }] in the same order; either may be null.
+export async function assignRegions(pool, points) {
+  if (points.length === 0) return [];
+
+  const { rows } = await pool.query(
+    `
+    SELECT
+      p.idx,
+      e.name AS emirate,
+      d.name AS district
+    FROM unnest($1::float8[], $2::float8[]) WITH ORDINALITY AS p(lng, lat, idx)
+    LEFT JOIN LATERAL (
+      SELECT name FROM boundaries
+      WHERE level = 'emirate' AND ST_Intersects(geom, ST_SetSRID(ST_MakePoint(p.lng, p.lat), 4326))
+      LIMIT 1
+    ) e ON true
+    LEFT JOIN LATERAL (
+      SELECT name FROM boundaries
+      WHERE level = 'district' AND ST_Intersects(geom, ST_SetSRID(ST_MakePoint(p.lng, p.lat), 4326))
+      LIMIT 1
+    ) d ON true
+    `,
+    [points.map(point => point.lng), points.map(point => point.lat)]
+  );
+
+  const regions = new Array(points.length).fill(null).map(() => ({ emirate: null, district: null }));
+  for (const row of rows) {
+    regions[parseInt(row.idx) - 1] = { emirate: row.emirate, district: row.district };
+  }
+  return regions;
+}
+
+// Label stored rows that predate the boundaries (or were saved while none were loaded)
+export async function backfillRegions(pool) {
+  const noiseSources = await pool.query(`
+    UPDATE noise_sources ns
+    SET
+      emirate = (SELECT name FROM boundaries b WHERE b.level = 'emirate' AND ST_Intersects(b.geom, ns.geom::geometry) LIMIT 1),
+      district = (SELECT name FROM boundaries b WHERE b.level = 'district' AND ST_Intersects(b.geom, ns.geom::geometry) LIMIT 1)
+    WHERE ns.emirate IS NULL
+      AND EXISTS (SELECT 1 FROM boundaries b WHERE b.level = 'emirate' AND ST_Intersects(b.geom, ns.geom::geometry))
+  `);
+
+  return { noiseSources: noiseSources.rowCount, buildings: await labelBuildings(pool) };
+}
+
+// Label every building, or just the given imported ones (by external_id).
+// Buildings keep their given emirate when they fall outside every polygon.
+export async function labelBuildings(db, externalIds = null) {
+  const { rowCount } = await db.query(
+    `
+    UPDATE buildings bl
+    SET
+      emirate = COALESCE(
+        (SELECT name FROM boundaries b WHERE b.level = 'emirate' AND ST_Intersects(b.geom, bl.geog::geometry) LIMIT 1),
+        bl.emirate
+      ),
+      district = (SELECT name FROM boundaries b WHERE b.level = 'district' AND ST_Intersects(b.geom, bl.geog::geometry) LIMIT 1)
+    WHERE $1::text[] IS NULL OR bl.external_id = ANY($1)
+    `,
+    [externalIds]
+  );
+  return rowCount;
+}
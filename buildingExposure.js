@@ -0,0 +1,108 @@
+import { attenuate, classifyThrustPhase, estimateSourceLevel, UNKNOWN_ALTITUDE_METERS } from './aircraftNoise.js';
+import { attenuateRoadNoise } from './roadNoise.js';
+import { sumDecibels } from './noiseFusion.js';
+
+// Noise exposure at a building facade over a time window.
+//
+// Flights: every stored fix is treated as the aircraft's position until its next fix (capped),
+// attenuated over the slant distance to the building, and the window's energy is averaged
+// into an Leq. Roads: the loudest point of each route within range, attenuated as a line
+// source, with different routes summed. The result is the energetic sum of both plus a
+// quiet-city ambient floor, so a building with nothing nearby still gets a level.
+
+export const AMBIENT_NOISE_LEVEL = 35; // dB(A)
+export const FLIGHT_RADIUS_METERS = 15000;
+export const ROAD_RADIUS_METERS = 1000;
+
+const DEFAULT_FIX_DURATION_SECONDS = 60;
+const MAX_FIX_DURATION_SECONDS = 120;
+const METERS_PER_DEG_LAT = 111320;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Cheap equirectangular distance; fine at building-to-aircraft scales
+function groundDistanceMeters(a, b) {
+  const dy = (b.lat - a.lat) * METERS_PER_DEG_LAT;
+  const dx = (b.lng - a.lng) * METERS_PER_DEG_LAT * Math.cos(a.lat * Math.PI / 180);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// fixes: [{ aircraft, lat, lng, altitude, speedMs, verticalRate, timestamp }]
+// Returns emitters with a source level and how many seconds of the window they stand for.
+export function prepareFlightFixes(fixes, windowEnd) {
+  const byAircraft = new Map();
+  for (const fix of fixes) {
+    if (!byAircraft.has(fix.aircraft)) byAircraft.set(fix.aircraft, []);
+    byAircraft.get(fix.aircraft).push(fix);
+  }
+
+  const emitters = [];
+  for (const aircraftFixes of byAircraft.values()) {
+    aircraftFixes.sort((a, b) => a.timestamp - b.timestamp);
+
+    aircraftFixes.forEach((fix, i) => {
+      const next = aircraftFixes[i + 1];
+      const until = next ? next.timestamp : Math.min(windowEnd.getTime(), fix.timestamp.getTime() + DEFAULT_FIX_DURATION_SECONDS * 1000);
+      const durationSeconds = Math.min(MAX_FIX_DURATION_SECONDS, Math.max(0, (until - fix.timestamp) / 1000));
+      if (durationSeconds === 0) return;
+
+      emitters.push({
+        lat: fix.lat,
+        lng: fix.lng,
+        // Same assumption as the live model: no altitude is more likely cruise than the ground
+        height: Math.max(0, fix.altitude ?? UNKNOWN_ALTITUDE_METERS),
+        sourceLevel: estimateSourceLevel({ phase: classifyThrustPhase(fix.verticalRate), speedMs: fix.speedMs }),
+        durationSeconds
+      });
+    });
+  }
+  return emitters;
+}
+
+// Leq over the window from the prepared flight emitters, or null when none are in range
+export function flightExposure(building, emitters, windowSeconds) {
+  const latRange = FLIGHT_RADIUS_METERS / METERS_PER_DEG_LAT;
+  let energy = 0;
+
+  for (const emitter of emitters) {
+    if (Math.abs(emitter.lat - building.lat) > latRange) continue;
+
+    const ground = groundDistanceMeters(building, emitter);
+    if (ground > FLIGHT_RADIUS_METERS) continue;
+
+    const level = attenuate(emitter.sourceLevel, Math.sqrt(ground * ground + emitter.height * emitter.height));
+    energy += 10 ** (level / 10) * emitter.durationSeconds;
+  }
+
+  return energy > 0 ? 10 * Math.log10(energy / windowSeconds) : null;
+}
+
+// roadContributions: [{ group (route), lat, lng, level (at the CoRTN reference distance) }]
+export function roadExposure(building, roadContributions) {
+  const latRange = ROAD_RADIUS_METERS / METERS_PER_DEG_LAT;
+  const loudestPerRoute = new Map();
+
+  for (const contribution of roadContributions) {
+    if (Math.abs(contribution.lat - building.lat) > latRange) continue;
+
+    const distance = groundDistanceMeters(building, contribution);
+    if (distance > ROAD_RADIUS_METERS) continue;
+
+    const level = attenuateRoadNoise(contribution.level, distance);
+    loudestPerRoute.set(contribution.group, Math.max(loudestPerRoute.get(contribution.group) ?? -Infinity, level));
+  }
+
+  return sumDecibels([...loudestPerRoute.values()]);
+}
+
+export function computeExposure(building, { emitters, roadContributions, windowSeconds }) {
+  const flightLevel = flightExposure(building, emitters, windowSeconds);
+  const roadLevel = roadExposure(building, roadContributions);
+  const level = sumDecibels([AMBIENT_NOISE_LEVEL, flightLevel, roadLevel].filter(value => value !== null));
+
+  return {
+    level: round1(level),
+    flightLevel: flightLevel === null ? null : round1(flightLevel),
+    roadLevel: roadLevel === null ? null : round1(roadLevel)
+  };
+}
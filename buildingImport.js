@@ -0,0 +1,173 @@
+import { z } from 'zod';
+
+// Parsing and validation for bulk building imports.
+//
+// GeoJSON: a FeatureCollection whose features have an id (feature.id, properties.id or
+// properties.external_id) and a Point centroid or a Polygon/MultiPolygon footprint.
+// CSV: a header row with id, lat, lng (or latitude, longitude) and optional name, emirate.
+//
+// Every row is validated on its own, so one bad row is reported rather than failing the file.
+
+export const MAX_IMPORT_ROWS = 50000;
+
+const FOOTPRINT_TYPES = ['Polygon', 'MultiPolygon'];
+
+function buildingRowSchema(bounds) {
+  const inBounds = (lat, lng) =>
+    lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLng && lng <= bounds.maxLng;
+
+  return z.object({
+    externalId: z.string().trim().min(1, { message: "id is required" }).max(128, { message: "id is too long" }),
+    name: z.string().trim().max(200, { message: "name is too long" }).nullable(),
+    emirate: z.string().trim().max(100, { message: "emirate is too long" }).nullable(),
+    lat: z.number({ message: "lat must be a number" }).nullable(),
+    lng: z.number({ message: "lng must be a number" }).nullable(),
+    footprint: z.object({
+      type: z.enum(FOOTPRINT_TYPES, { message: "geometry must be a Point, Polygon or MultiPolygon" }),
+      coordinates: z.array(z.any()).min(1)
+    }).nullable()
+  }).refine((row) => row.footprint || (Number.isFinite(row.lat) && Number.isFinite(row.lng)), {
+    message: "a point (lat/lng) or a footprint polygon is required"
+  }).refine((row) => !Number.isFinite(row.lat) || inBounds(row.lat, row.lng), {
+    message: "location is outside the UAE"
+  }).refine((row) => !row.footprint || footprintPositions(row.footprint).every(([lng, lat]) => inBounds(lat, lng)), {
+    message: "footprint is outside the UAE or has invalid coordinates"
+  });
+}
+
+function footprintPositions(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.flat(1).flat(1).map(position =>
+    Array.isArray(position) && position.length >= 2 ? position : [NaN, NaN]
+  );
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF line endings
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+const optionalText = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value));
+const optionalNumber = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : Number(value));
+
+function csvCandidates(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names) => columns.findIndex(name => names.includes(name));
+  const idColumn = column('id', 'external_id');
+  const latColumn = column('lat', 'latitude');
+  const lngColumn = column('lng', 'lon', 'longitude');
+  if (idColumn === -1 || latColumn === -1 || lngColumn === -1) {
+    throw new Error('CSV header must include id, lat and lng columns');
+  }
+  const nameColumn = column('name');
+  const emirateColumn = column('emirate');
+
+  return records.map(fields => ({
+    externalId: optionalText(fields[idColumn]) ?? '',
+    name: nameColumn === -1 ? null : optionalText(fields[nameColumn]),
+    emirate: emirateColumn === -1 ? null : optionalText(fields[emirateColumn]),
+    lat: optionalNumber(fields[latColumn]),
+    lng: optionalNumber(fields[lngColumn]),
+    footprint: null
+  }));
+}
+
+function geoJsonCandidates(collection) {
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('Body must be a GeoJSON FeatureCollection');
+  }
+
+  return collection.features.map(feature => {
+    const properties = feature?.properties ?? {};
+    const geometry = feature?.geometry;
+    const isPoint = geometry?.type === 'Point' && Array.isArray(geometry.coordinates);
+
+    return {
+      externalId: optionalText(feature?.id ?? properties.id ?? properties.external_id) ?? '',
+      name: optionalText(properties.name),
+      emirate: optionalText(properties.emirate),
+      lat: isPoint ? optionalNumber(geometry.coordinates[1]) : null,
+      lng: isPoint ? optionalNumber(geometry.coordinates[0]) : null,
+      // Anything that isn't a point goes through the footprint check and gets reported there
+      footprint: isPoint || !geometry ? null : geometry
+    };
+  });
+}
+
+// format: 'csv' (body is text) or 'geojson' (body is parsed JSON).
+// Returns { rows, errors } where errors is [{ row, id, errors: [messages] }] with 1-based rows.
+// Throws for problems with the file as a whole.
+export function parseBuildingImport(body, format, { bounds }) {
+  const candidates = format === 'csv' ? csvCandidates(body) : geoJsonCandidates(body);
+  if (candidates.length === 0) {
+    throw new Error('No buildings found in the import');
+  }
+  if (candidates.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Too many buildings in one import (max ${MAX_IMPORT_ROWS})`);
+  }
+
+  const schema = buildingRowSchema(bounds);
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  candidates.forEach((candidate, index) => {
+    const result = schema.safeParse(candidate);
+    if (!result.success) {
+      errors.push({ row: index + 1, id: candidate.externalId || null, errors: result.error.issues.map(e => e.message) });
+      return;
+    }
+    if (seen.has(result.data.externalId)) {
+      errors.push({ row: index + 1, id: result.data.externalId, errors: ['duplicate id in this import'] });
+      return;
+    }
+    seen.add(result.data.externalId);
+    rows.push({ row: index + 1, ...result.data });
+  });
+
+  return { rows, errors };
+}
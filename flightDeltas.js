@@ -0,0 +1,103 @@
+import { randomUUID } from 'crypto';
+
+// Flight feed change log.
+//
+// Every poll is diffed against the previous one by icao24 and turned into
+// FLIGHT_ADDED / FLIGHT_MOVED / FLIGHT_REMOVED entries, each with its own sequence
+// number. The most recent entries are kept so a reconnecting client can be sent
+// what it missed instead of a full snapshot.
+//
+// `feedId` changes on every restart; a client resuming against a different feedId
+// (or from a sequence that has already been dropped) needs a snapshot instead.
+
+export const DEFAULT_LOG_CAPACITY = 2000;
+
+// Fields whose change is worth telling clients about. The footprint isn't one of them: it
+// follows from position, altitude and level, and would be most of every message.
+const TRACKED_FIELDS = [
+  'lat', 'lng', 'altitude', 'noiseLevel', 'sourceLevel', 'thrustPhase',
+  'flightPhase', 'airport', 'runway', 'emirate', 'district'
+];
+
+// The tracked fields that differ, plus the fix time; null when nothing tracked changed
+function changedFields(previous, current) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    if (previous[field] !== current[field]) changes[field] = current[field];
+  }
+  if (Object.keys(changes).length === 0) return null;
+  return { ...changes, timestamp: current.timestamp };
+}
+
+// Only what's needed later to decide whether a subscriber could see the old position
+function positionOf(point) {
+  return { lat: point.lat, lng: point.lng, emirate: point.emirate };
+}
+
+export function createFlightDeltaLog({ capacity = DEFAULT_LOG_CAPACITY } = {}) {
+  const feedId = randomUUID();
+  const entries = [];
+  let seq = 0;
+  let flights = new Map();
+
+  function append(type, id, previous, current, changes = null) {
+    const entry = {
+      seq: ++seq,
+      type,
+      id,
+      previous: previous ? positionOf(previous) : null,
+      current,
+      changes
+    };
+    entries.push(entry);
+    return entry;
+  }
+
+  return {
+    feedId,
+
+    get seq() {
+      return seq;
+    },
+
+    // Diff a fresh set of flights against the last one; returns the new entries
+    update(points) {
+      const next = new Map(points.map(point => [point.id, point]));
+      const added = [];
+
+      for (const [id, point] of next) {
+        const previous = flights.get(id);
+        if (!previous) {
+          added.push(append('FLIGHT_ADDED', id, null, point));
+          continue;
+        }
+        const changes = changedFields(previous, point);
+        if (changes) {
+          added.push(append('FLIGHT_MOVED', id, previous, point, changes));
+        }
+      }
+
+      for (const [id, previous] of flights) {
+        if (!next.has(id)) {
+          added.push(append('FLIGHT_REMOVED', id, previous, null));
+        }
+      }
+
+      flights = next;
+      if (entries.length > capacity) {
+        entries.splice(0, entries.length - capacity);
+      }
+      return added;
+    },
+
+    // Entries after `lastSeq`, or null when they can't be replayed and a snapshot is needed
+    since(clientFeedId, lastSeq) {
+      if (clientFeedId !== feedId || !Number.isInteger(lastSeq) || lastSeq > seq) return null;
+      if (lastSeq === seq) return [];
+
+      const oldest = entries.length > 0 ? entries[0].seq : seq + 1;
+      if (lastSeq < oldest - 1) return null;
+      return entries.slice(lastSeq - oldest + 1);
+    }
+  };
+}
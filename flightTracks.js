@@ -0,0 +1,98 @@
+import { distanceMeters } from './geo.js';
+
+// Rebuilds aircraft trajectories from the one-point-per-minute rows stored in noise_sources.
+// A gap longer than maxGapMs between two consecutive points starts a new flight.
+
+export const DEFAULT_MAX_GAP_MS = 10 * 60 * 1000;
+
+function summarizeTrack(points) {
+  const altitudes = points.map(p => p.altitude).filter(a => a !== null);
+  const speeds = points.map(p => p.speed).filter(s => s !== null);
+  const start = points[0].timestamp;
+  const end = points[points.length - 1].timestamp;
+
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += distanceMeters(points[i - 1], points[i]);
+  }
+
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    durationSeconds: Math.round((end - start) / 1000),
+    pointCount: points.length,
+    distanceKm: Math.round(distance / 100) / 10,
+    altitude: altitudes.length > 0
+      ? { min: Math.min(...altitudes), max: Math.max(...altitudes) }
+      : null,
+    speed: speeds.length > 0
+      ? { min: Math.min(...speeds), max: Math.max(...speeds), avg: Math.round(speeds.reduce((a, b) => a + b, 0) / speeds.length) }
+      : null
+  };
+}
+
+// points: [{ lat, lng, altitude, speed, timestamp: Date }] for a single aircraft, any order
+export function buildFlightTracks(points, { maxGapMs = DEFAULT_MAX_GAP_MS } = {}) {
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+  const tracks = [];
+  let current = [];
+
+  for (const point of sorted) {
+    const previous = current[current.length - 1];
+    if (previous && point.timestamp - previous.timestamp > maxGapMs) {
+      tracks.push(current);
+      current = [];
+    }
+    current.push(point);
+  }
+  if (current.length > 0) {
+    tracks.push(current);
+  }
+
+  return tracks.map((trackPoints, index) => {
+    // Climb/descent rate between consecutive fixes, m/s
+    const profile = trackPoints.map((point, i) => {
+      const previous = trackPoints[i - 1];
+      const seconds = previous ? (point.timestamp - previous.timestamp) / 1000 : 0;
+      const verticalRate = previous && seconds > 0 && point.altitude !== null && previous.altitude !== null
+        ? Math.round(((point.altitude - previous.altitude) / seconds) * 10) / 10
+        : null;
+
+      return {
+        lat: point.lat,
+        lng: point.lng,
+        altitude: point.altitude,
+        speed: point.speed,
+        verticalRate,
+        timestamp: point.timestamp.toISOString()
+      };
+    });
+
+    return {
+      flightIndex: index,
+      ...summarizeTrack(trackPoints),
+      points: profile
+    };
+  });
+}
+
+// One LineString feature per flight (a Point if only one fix was seen); coordinates carry
+// altitude as the third value and the per-vertex profile is kept in parallel arrays
+export function tracksToGeoJSON(icao24, tracks) {
+  return {
+    type: 'FeatureCollection',
+    features: tracks.map(({ points, ...summary }) => ({
+      type: 'Feature',
+      geometry: points.length > 1
+        ? { type: 'LineString', coordinates: points.map(p => [p.lng, p.lat, p.altitude ?? 0]) }
+        : { type: 'Point', coordinates: [points[0].lng, points[0].lat, points[0].altitude ?? 0] },
+      properties: {
+        icao24,
+        ...summary,
+        timestamps: points.map(p => p.timestamp),
+        altitudes: points.map(p => p.altitude),
+        speeds: points.map(p => p.speed)
+      }
+    }))
+  };
+}
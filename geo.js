@@ -0,0 +1,43 @@
+// Haversine distance in meters
+export function distanceMeters(a, b) {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+export function pathLengthMeters(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distanceMeters(points[i - 1], points[i]);
+  }
+  return length;
+}
+
+// Initial bearing from a to b, degrees clockwise from true north
+export function bearingDegrees(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLng = toRad(b.lng - a.lng);
+  const y = Math.sin(dLng) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Smallest difference between two headings, 0-180
+export function headingDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Point reached travelling `distance` meters from `origin` on `bearing` (flat-earth, fine for a few km)
+export function offsetPoint(origin, bearing, distance) {
+  const rad = bearing * Math.PI / 180;
+  return {
+    lat: origin.lat + (distance * Math.cos(rad)) / 111320,
+    lng: origin.lng + (distance * Math.sin(rad)) / (111320 * Math.cos(origin.lat * Math.PI / 180))
+  };
+}
@@ -4,14 +4,35 @@ import 'dotenv/config';
 import pg from 'pg';
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
-import twilio from 'twilio';
-import jwt from 'jsonwebtoken';
 import http from 'http';
 import { WebSocketServer } from 'ws';
+import { createTrafficProvider } from './trafficProviders.js';
+import { estimateRoadNoise } from './roadNoise.js';
+import { buildNoiseGrid } from './noiseFusion.js';
+import { buildFlightTracks, tracksToGeoJSON } from './flightTracks.js';
+import { estimateAircraftNoise } from './aircraftNoise.js';
+import { UAE_AIRPORTS, FLIGHT_PHASES, classifyFlightPhase, runwayThresholds } from './airports.js';
+import { createOpenSkyClient } from './openSky.js';
+import { parseClientMessage, parseConnectionQuery, connectionToken, allowedChannels, errorMessage, createSubscription, describeSubscription, wantsChannel, matchesSubscription, deltaMessageFor } from './wsProtocol.js';
+import { createFlightDeltaLog } from './flightDeltas.js';
+import { loadBoundaries, assignRegions, backfillRegions, labelBuildings } from './boundaries.js';
+import { prepareFlightFixes, computeExposure } from './buildingExposure.js';
+import { parseBuildingImport } from './buildingImport.js';
+import { createAuthService, AuthError, ROLES } from './auth.js';
+import { generateOtp, hashOtp, otpMatches, OTP_MAX_ATTEMPTS, OTP_RESEND_COOLDOWN_SECONDS, OTP_TTL_MINUTES } from './otp.js';
+import { createRateLimiter, rateLimit } from './rateLimit.js';
+import { createNotificationService, CHANNELS as NOTIFICATION_CHANNELS } from './notifications.js';
+import { LOCALES, DEFAULT_LOCALE } from './notificationTemplates.js';
+import { bboxSchema, sourceListSchema, flightPhaseListSchema, airportListSchema, heatmapHistoryQuerySchema, heatmapFramesQuerySchema, HISTORY_BUCKETS, MAX_HISTORY_RANGE_MS, UAE_BOUNDS } from './querySchemas.js';
 
 const app = express();
 const PORT = process.env.PORT || 8081;
 
+// Behind a reverse proxy req.ip is the proxy's address, so per-IP rate limits would lump
+// every client together; set TRUST_PROXY_HOPS to the number of proxies in front of the app.
+// Off by default, since trusting X-Forwarded-For without a proxy lets clients pick their IP.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || false);
+
 const { Pool } = pg;
 
 const pool = new Pool({
@@ -21,6 +42,9 @@ const pool = new Pool({
   }
 });
 
+const auth = createAuthService(pool);
+const notifications = createNotificationService(pool);
+
 const server = http.createServer(app);
 
 const allowedOrigins = [
@@ -30,10 +54,19 @@ const allowedOrigins = [
 
 let trafficDataCache = null;
 let trafficCacheTimestamp = null;
+let trafficCacheFailures = [];
+let trafficRefreshPromise = null;
+let trafficCacheGeneration = 0;
 const TRAFFIC_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-// Major UAE routes to fetch traffic data for
-const UAE_MAJOR_ROUTES = [
+const TRAFFIC_FETCH_CONCURRENCY = 4;
+const TRAFFIC_FETCH_MIN_INTERVAL_MS = 100; // spacing between provider requests
+const TRAFFIC_FETCH_RETRIES = 2;
+const TRAFFIC_RETRY_BASE_DELAY_MS = 500;
+
+// Major UAE routes seeded into traffic_routes the first time the table is created.
+// After that the database is the source of truth; use /api/traffic/routes to edit.
+const DEFAULT_UAE_ROUTES = [
   // Dubai Routes
   { start: { lat: 25.076, lng: 55.132 }, end: { lat: 25.270, lng: 55.330 }, name: 'Sheikh Zayed Road - Dubai', weight: 1.0, emirate: 'Dubai' },
   { start: { lat: 25.050, lng: 55.200 }, end: { lat: 25.320, lng: 55.480 }, name: 'Emirates Road - Dubai', weight: 0.9, emirate: 'Dubai' },
@@ -62,124 +95,473 @@ const UAE_MAJOR_ROUTES = [
   { start: { lat: 25.270, lng: 55.330 }, end: { lat: 25.120, lng: 56.330 }, name: 'Dubai-Fujairah Road', weight: 0.75, emirate: 'Fujairah' },
 ];
 
-async function fetchGoogleTrafficData() {
-  const GOOGLE_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-  
-  if (!GOOGLE_API_KEY) {
-    throw new Error('GOOGLE_MAPS_API_KEY not found in environment variables');
+// Create tables owned by this service if they don't exist yet
+async function initSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS traffic_routes (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      start_lat DOUBLE PRECISION NOT NULL,
+      start_lng DOUBLE PRECISION NOT NULL,
+      end_lat DOUBLE PRECISION NOT NULL,
+      end_lng DOUBLE PRECISION NOT NULL,
+      weight REAL NOT NULL DEFAULT 1.0,
+      emirate TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM traffic_routes');
+  if (rows[0].count === 0) {
+    for (const route of DEFAULT_UAE_ROUTES) {
+      await pool.query(
+        `INSERT INTO traffic_routes (name, start_lat, start_lng, end_lat, end_lng, weight, emirate)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [route.name, route.start.lat, route.start.lng, route.end.lat, route.end.lng, route.weight, route.emirate]
+      );
+    }
+    console.log(`🌱 Seeded traffic_routes with ${DEFAULT_UAE_ROUTES.length} default routes`);
   }
 
-  const allTrafficPoints = [];
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS traffic_snapshots (
+      id BIGSERIAL PRIMARY KEY,
+      route_id INTEGER REFERENCES traffic_routes(id) ON DELETE SET NULL,
+      route_name TEXT NOT NULL,
+      emirate TEXT NOT NULL,
+      traffic_ratio REAL NOT NULL,
+      delay_minutes REAL NOT NULL,
+      intensity REAL NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    'CREATE INDEX IF NOT EXISTS traffic_snapshots_created_at_idx ON traffic_snapshots (created_at)'
+  );
 
-  console.log('🚗 Fetching traffic data from Google Directions API...');
+  // Climb/descent rate (m/s) drives the aircraft noise model's thrust phase
+  await pool.query('ALTER TABLE noise_sources ADD COLUMN IF NOT EXISTS vertical_rate REAL');
 
-  for (const route of UAE_MAJOR_ROUTES) {
-    try {
-      const url = `https://maps.googleapis.com/maps/api/directions/json?` +
-        `origin=${route.start.lat},${route.start.lng}&` +
-        `destination=${route.end.lat},${route.end.lng}&` +
-        `departure_time=now&` +
-        `traffic_model=best_guess&` +
-        `key=${GOOGLE_API_KEY}`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status !== 'OK') {
-        console.error(`❌ Error fetching route ${route.name}:`, data.status);
-        continue;
-      }
+  // Airport-relative flight phase (departure/arrival/overflight/ground_adjacent), see airports.js
+  await pool.query('ALTER TABLE noise_sources ADD COLUMN IF NOT EXISTS flight_phase TEXT');
+  await pool.query('ALTER TABLE noise_sources ADD COLUMN IF NOT EXISTS airport TEXT');
 
-      const routeData = data.routes[0];
-      if (!routeData) continue;
-
-      const leg = routeData.legs[0];
-      
-      // Calculate traffic intensity based on duration vs duration_in_traffic
-      const normalDuration = leg.duration.value; // seconds without traffic
-      const trafficDuration = leg.duration_in_traffic?.value || normalDuration;
-      const trafficRatio = trafficDuration / normalDuration;
-      
-      // Traffic intensity: 1.0 = no delay, 2.0+ = heavy traffic
-      // Map to our 0-1 scale where 1 = worst traffic
-      let trafficIntensity = Math.min((trafficRatio - 1.0) * 2.0, 1.0);
-      trafficIntensity = Math.max(0.3, trafficIntensity); // Minimum 0.3 for visibility
-      
-      // Apply route weight (important roads get higher base intensity)
-      const finalIntensity = trafficIntensity * route.weight;
-
-      // Extract polyline points
-      const polyline = routeData.overview_polyline.points;
-      const decodedPoints = decodePolyline(polyline);
-
-      // Create heatmap points along the route
-      // Sample every Nth point to avoid too many points
-      const samplingRate = Math.max(1, Math.floor(decodedPoints.length / 100)); // Max 100 points per route
-      
-      for (let i = 0; i < decodedPoints.length; i += samplingRate) {
-        const point = decodedPoints[i];
-        allTrafficPoints.push({
-          lat: point.lat,
-          lng: point.lng,
-          intensity: finalIntensity,
-          route: route.name,
-          emirate: route.emirate, // Add emirate info
-          trafficRatio: trafficRatio.toFixed(2),
-          delay: ((trafficDuration - normalDuration) / 60).toFixed(1) // minutes
-        });
-      }
+  // Emirate and district polygons, see boundaries.js
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS boundaries (
+      id SERIAL PRIMARY KEY,
+      level TEXT NOT NULL CHECK (level IN ('emirate', 'district')),
+      name TEXT NOT NULL,
+      emirate TEXT NOT NULL,
+      geom geometry(MultiPolygon, 4326) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (level, emirate, name)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS boundaries_geom_idx ON boundaries USING GIST (geom)');
+
+  // Point-in-polygon labels; NULL means outside every loaded boundary
+  await pool.query('ALTER TABLE noise_sources ADD COLUMN IF NOT EXISTS emirate TEXT');
+  await pool.query('ALTER TABLE noise_sources ADD COLUMN IF NOT EXISTS district TEXT');
+
+  // Buildings used to be loaded by hand; the columns below support /api/buildings/import
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS buildings (
+      id SERIAL PRIMARY KEY,
+      name TEXT,
+      emirate TEXT,
+      current_noise REAL,
+      geog geography(Point, 4326)
+    )
+  `);
+  await pool.query('ALTER TABLE buildings ADD COLUMN IF NOT EXISTS district TEXT');
+  await pool.query('ALTER TABLE buildings ADD COLUMN IF NOT EXISTS external_id TEXT');
+  await pool.query('ALTER TABLE buildings ADD COLUMN IF NOT EXISTS footprint geometry(MultiPolygon, 4326)');
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS buildings_external_id_key ON buildings (external_id)');
+  await pool.query('CREATE INDEX IF NOT EXISTS buildings_geog_idx ON buildings USING GIST (geog)');
+
+  // One row per building per exposure run, see updateBuildingExposure()
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS building_noise_exposure (
+      id BIGSERIAL PRIMARY KEY,
+      building_id TEXT NOT NULL,
+      level REAL NOT NULL,
+      flight_level REAL,
+      road_level REAL,
+      window_start TIMESTAMPTZ NOT NULL,
+      duration_seconds INTEGER NOT NULL
+    )
+  `);
+  await pool.query(
+    'CREATE INDEX IF NOT EXISTS building_noise_exposure_building_idx ON building_noise_exposure (building_id, window_start)'
+  );
+  await pool.query('ALTER TABLE buildings ADD COLUMN IF NOT EXISTS noise_updated_at TIMESTAMPTZ');
+
+  // Hashed refresh tokens, see auth.js. user_id is text because users is managed outside this service.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id BIGSERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      session_id UUID NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      rotated BOOLEAN NOT NULL DEFAULT false,
+      user_agent TEXT,
+      ip TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens (user_id)');
+  await pool.query('CREATE INDEX IF NOT EXISTS refresh_tokens_session_idx ON refresh_tokens (session_id)');
+
+  // OTP codes are stored as HMACs (see otp.js). Dropping the old plaintext column leaves any
+  // pending codes unverifiable; those users just request a new one.
+  await pool.query('ALTER TABLE IF EXISTS otp_verifications ADD COLUMN IF NOT EXISTS otp_hash TEXT');
+  await pool.query('ALTER TABLE IF EXISTS otp_verifications ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0');
+  await pool.query('ALTER TABLE IF EXISTS otp_verifications ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()');
+  await pool.query('ALTER TABLE IF EXISTS otp_verifications DROP COLUMN IF EXISTS otp_code');
+
+  // Outstanding password reset codes, at most one per user. Kept apart from otp_verifications,
+  // whose rows are pending registrations rather than existing accounts.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id BIGSERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL UNIQUE,
+      channel TEXT NOT NULL,
+      otp_hash TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // One row per send attempt, see notifications.js
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_log (
+      id BIGSERIAL PRIMARY KEY,
+      channel TEXT NOT NULL,
+      transport TEXT NOT NULL,
+      template TEXT NOT NULL,
+      locale TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      status TEXT NOT NULL,
+      provider_id TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS notification_log_created_idx ON notification_log (created_at)');
+
+  await pool.query(`ALTER TABLE IF EXISTS users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'`);
+  await pool.query('ALTER TABLE IF EXISTS users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ');
+  // Bumped by auth.revokeAllSessions() to invalidate access tokens already issued
+  await pool.query('ALTER TABLE IF EXISTS users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0');
+
+  // There's no way to create the first admin through the API, so ADMIN_EMAILS (comma-separated)
+  // promotes existing accounts at startup
+  const adminEmails = (process.env.ADMIN_EMAILS ?? '').split(',').map(email => email.trim()).filter(Boolean);
+  if (adminEmails.length > 0) {
+    const { rowCount } = await pool.query(
+      `UPDATE users SET role = 'admin' WHERE lower(email) = ANY($1) AND role <> 'admin'`,
+      [adminEmails.map(email => email.toLowerCase())]
+    );
+    if (rowCount > 0) {
+      console.log(`👑 Promoted ${rowCount} users from ADMIN_EMAILS to admin`);
+    }
+  }
+}
+
+let boundaryCount = 0;
+
+// Regions for a batch of points, or null when no boundaries are loaded (or the lookup fails),
+// in which case callers keep their existing labels
+async function lookupRegions(points) {
+  if (boundaryCount === 0 || points.length === 0) return null;
+  try {
+    return await assignRegions(pool, points);
+  } catch (error) {
+    console.error('❌ Failed to assign regions:', error.message);
+    return null;
+  }
+}
+
+function mapRouteRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    start: { lat: row.start_lat, lng: row.start_lng },
+    end: { lat: row.end_lat, lng: row.end_lng },
+    weight: row.weight,
+    emirate: row.emirate,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getActiveRoutes() {
+  const { rows } = await pool.query(
+    'SELECT * FROM traffic_routes WHERE enabled = true ORDER BY id'
+  );
+  return rows.map(mapRouteRow);
+}
+
+function invalidateTrafficCache() {
+  trafficDataCache = null;
+  trafficCacheTimestamp = null;
+  trafficCacheFailures = [];
+  // Any refresh already running was started with the old route set; let it finish but not land
+  trafficRefreshPromise = null;
+  trafficCacheGeneration++;
+}
+
+let trafficProvider = null;
+
+// Created lazily so a missing API key surfaces as a failed fetch rather than a crash on boot
+function getTrafficProvider() {
+  if (!trafficProvider) {
+    trafficProvider = createTrafficProvider(process.env);
+    console.log(`🚦 Using traffic provider: ${trafficProvider.name}`);
+  }
+  return trafficProvider;
+}
+
+// Traffic intensity: 1.0 = no delay, 2.0+ = heavy traffic
+// Map to our 0-1 scale where 1 = worst traffic
+function calculateTrafficIntensity(trafficRatio, weight) {
+  let trafficIntensity = Math.min((trafficRatio - 1.0) * 2.0, 1.0);
+  trafficIntensity = Math.max(0.3, trafficIntensity); // Minimum 0.3 for visibility
+
+  // Apply route weight (important roads get higher base intensity)
+  return trafficIntensity * weight;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn over items with at most `limit` in flight and results kept in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+let nextTrafficRequestAt = 0;
+
+// Space provider calls out so concurrent workers don't burst past the vendor's rate limit
+async function waitForTrafficRequestSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextTrafficRequestAt);
+  nextTrafficRequestAt = slot + TRAFFIC_FETCH_MIN_INTERVAL_MS;
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
 
-      console.log(`✅ ${route.name}: ${decodedPoints.length} points, traffic ratio: ${trafficRatio.toFixed(2)}x, intensity: ${finalIntensity.toFixed(2)}, emirate: ${route.emirate}`);
+async function fetchRouteWithRetry(provider, route) {
+  let lastError;
 
+  for (let attempt = 1; attempt <= TRAFFIC_FETCH_RETRIES + 1; attempt++) {
+    try {
+      await waitForTrafficRequestSlot();
+      return { result: await provider.fetchRoute(route), attempts: attempt };
     } catch (error) {
-      console.error(`❌ Error fetching route ${route.name}:`, error.message);
+      lastError = error;
+      if (attempt <= TRAFFIC_FETCH_RETRIES) {
+        const backoff = TRAFFIC_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() * 0.25);
+        console.warn(`⚠️ ${route.name} failed (attempt ${attempt}): ${error.message}. Retrying in ${Math.round(backoff)}ms`);
+        await sleep(backoff);
+      }
     }
   }
 
-  console.log(`🚗 Total traffic points generated: ${allTrafficPoints.length}`);
-  return allTrafficPoints;
+  lastError.attempts = TRAFFIC_FETCH_RETRIES + 1;
+  throw lastError;
 }
 
-// Decode Google polyline format
-function decodePolyline(encoded) {
+function buildRouteTrafficPoints(route, { normalDuration, trafficDuration, segments }) {
+  // Calculate traffic intensity based on duration vs duration in traffic
+  const trafficRatio = trafficDuration / normalDuration;
+  const finalIntensity = calculateTrafficIntensity(trafficRatio, route.weight);
+
+  // Carry each segment's own congestion onto its points so the heatmap shows where the jam is
+  const routePoints = segments.flatMap(segment => {
+    const segmentRatio = segment.normalDuration > 0
+      ? segment.trafficDuration / segment.normalDuration
+      : trafficRatio;
+    const speedKph = segment.distance && segment.trafficDuration > 0
+      ? (segment.distance / segment.trafficDuration) * 3.6
+      : undefined;
+    return segment.points.map(point => ({
+      ...point,
+      trafficRatio: segmentRatio,
+      speedKph,
+      delay: (segment.trafficDuration - segment.normalDuration) / 60
+    }));
+  });
+
+  // Create heatmap points along the route
+  // Sample every Nth point to avoid too many points
+  const samplingRate = Math.max(1, Math.floor(routePoints.length / 100)); // Max 100 points per route
   const points = [];
-  let index = 0;
-  let lat = 0;
-  let lng = 0;
-
-  while (index < encoded.length) {
-    let b;
-    let shift = 0;
-    let result = 0;
-    
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    
-    const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lat += dlat;
 
-    shift = 0;
-    result = 0;
-    
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    
-    const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
-    lng += dlng;
+  for (let i = 0; i < routePoints.length; i += samplingRate) {
+    const point = routePoints[i];
+    const roadNoise = estimateRoadNoise({
+      trafficRatio: point.trafficRatio,
+      weight: route.weight,
+      speedKph: point.speedKph
+    });
 
     points.push({
-      lat: lat / 1e5,
-      lng: lng / 1e5
+      lat: point.lat,
+      lng: point.lng,
+      intensity: calculateTrafficIntensity(point.trafficRatio, route.weight),
+      noiseLevel: roadNoise.noiseLevel, // dB(A) LAeq at 10 m from the road
+      speedKph: roadNoise.speedKph,
+      roadClass: roadNoise.roadClass,
+      route: route.name,
+      emirate: route.emirate, // Add emirate info
+      trafficRatio: point.trafficRatio.toFixed(2),
+      segmentDelay: point.delay.toFixed(1), // minutes, for the segment this point is on
+      routeTrafficRatio: trafficRatio.toFixed(2),
+      delay: ((trafficDuration - normalDuration) / 60).toFixed(1) // minutes
+    });
+  }
+
+  console.log(`✅ ${route.name}: ${routePoints.length} points in ${segments.length} segments, traffic ratio: ${trafficRatio.toFixed(2)}x, intensity: ${finalIntensity.toFixed(2)}, emirate: ${route.emirate}`);
+
+  return {
+    points,
+    snapshot: {
+      routeId: route.id,
+      routeName: route.name,
+      emirate: route.emirate,
+      trafficRatio,
+      delayMinutes: (trafficDuration - normalDuration) / 60,
+      intensity: finalIntensity
+    }
+  };
+}
+
+async function fetchTrafficData() {
+  const provider = getTrafficProvider();
+  const routes = await getActiveRoutes();
+
+  console.log(`🚗 Fetching traffic data from ${provider.name} provider for ${routes.length} routes...`);
+
+  const outcomes = await mapWithConcurrency(routes, TRAFFIC_FETCH_CONCURRENCY, async (route) => {
+    try {
+      const { result, attempts } = await fetchRouteWithRetry(provider, route);
+      const { points, snapshot } = buildRouteTrafficPoints(route, result);
+      return { route, points, snapshot, attempts };
+    } catch (error) {
+      console.error(`❌ Error fetching route ${route.name}:`, error.message);
+      return { route, error, attempts: error.attempts ?? 1 };
+    }
+  });
+
+  const allTrafficPoints = outcomes.flatMap(outcome => outcome.points ?? []);
+
+  // Routes cross emirate lines, so label each point rather than trusting the route's emirate
+  const regions = await lookupRegions(allTrafficPoints);
+  if (regions) {
+    allTrafficPoints.forEach((point, i) => {
+      point.emirate = regions[i].emirate ?? point.emirate;
+      point.district = regions[i].district;
     });
   }
+  const routeSnapshots = outcomes.filter(outcome => outcome.snapshot).map(outcome => outcome.snapshot);
+  const failures = outcomes
+    .filter(outcome => outcome.error)
+    .map(outcome => ({
+      routeId: outcome.route.id,
+      route: outcome.route.name,
+      error: outcome.error.message,
+      attempts: outcome.attempts
+    }));
+
+  if (routes.length > 0 && failures.length === routes.length) {
+    throw new Error(`All ${routes.length} traffic routes failed to fetch`);
+  }
+
+  console.log(`🚗 Total traffic points generated: ${allTrafficPoints.length} (${failures.length} routes failed)`);
+  await saveTrafficSnapshots(routeSnapshots);
+  return { points: allTrafficPoints, failures };
+}
+
+// Every caller shares one in-flight refresh, so expired-cache stampedes and manual
+// refreshes never trigger overlapping provider fetches
+function refreshTrafficCache() {
+  if (trafficRefreshPromise) {
+    return trafficRefreshPromise;
+  }
+
+  const generation = trafficCacheGeneration;
+  const refresh = fetchTrafficData()
+    .then((result) => {
+      if (generation === trafficCacheGeneration) {
+        trafficDataCache = result.points;
+        trafficCacheFailures = result.failures;
+        trafficCacheTimestamp = Date.now();
+        broadcastTrafficUpdate();
+      }
+      return result;
+    })
+    .finally(() => {
+      if (trafficRefreshPromise === refresh) {
+        trafficRefreshPromise = null;
+      }
+    });
+
+  trafficRefreshPromise = refresh;
+  return refresh;
+}
+
+// Keep one row per route per fetch so /api/traffic/history can rebuild time series
+async function saveTrafficSnapshots(snapshots) {
+  if (snapshots.length === 0) return;
+
+  try {
+    const values = [];
+    const placeholders = snapshots.map((snapshot, i) => {
+      values.push(
+        snapshot.routeId,
+        snapshot.routeName,
+        snapshot.emirate,
+        snapshot.trafficRatio,
+        snapshot.delayMinutes,
+        snapshot.intensity
+      );
+      const offset = i * 6;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+    }).join(', ');
+
+    await pool.query(
+      `INSERT INTO traffic_snapshots (route_id, route_name, emirate, traffic_ratio, delay_minutes, intensity)
+       VALUES ${placeholders}`,
+      values
+    );
 
-  return points;
+    console.log(`💾 Saved ${snapshots.length} traffic snapshots to DB.`);
+  } catch (error) {
+    console.error('❌ Error saving traffic snapshots:', error.message);
+  }
 }
 
 app.use(cors({
@@ -192,34 +574,60 @@ app.use(cors({
   }
 }));
 
-app.use(express.json());
+// Anything that spends provider quota, changes shared data or exposes internals is admin-only
+const requireAdmin = auth.requireRole('admin');
+
+// Building imports are far larger than any other request body, so the import route parses
+// its own body after the role check (nobody else can make us buffer megabytes) and the
+// default parser leaves that path alone.
+const BUILDING_IMPORT_PATH = '/api/buildings/import';
+const IMPORT_BODY_LIMIT = '25mb';
+const parseImportBody = [
+  express.json({ type: ['application/json', 'application/geo+json'], limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT })
+];
+
+const parseJsonBody = express.json();
+app.use((req, res, next) => (req.path === BUILDING_IMPORT_PATH ? next() : parseJsonBody(req, res, next)));
 
 app.get('/api/traffic/roads', async (req, res) => {
   console.log('📍 Request received for /api/traffic/roads');
 
   try {
     const now = Date.now();
-    if (trafficDataCache && trafficCacheTimestamp && (now - trafficCacheTimestamp < TRAFFIC_CACHE_DURATION)) {
-      console.log('✅ Returning cached traffic data');
+    if (trafficDataCache && trafficCacheTimestamp) {
+      const cacheAge = now - trafficCacheTimestamp;
+      const stale = cacheAge >= TRAFFIC_CACHE_DURATION;
+
+      // Serve what we have straight away and revalidate in the background
+      if (stale) {
+        console.log('♻️ Returning stale traffic data, refreshing in background');
+        refreshTrafficCache().catch(error => {
+          console.error('❌ Background traffic refresh failed:', error.message);
+        });
+      } else {
+        console.log('✅ Returning cached traffic data');
+      }
+
       return res.json({
         success: true,
         data: trafficDataCache,
+        failures: trafficCacheFailures,
         cached: true,
-        cacheAge: Math.floor((now - trafficCacheTimestamp) / 1000) // seconds
+        stale,
+        refreshing: trafficRefreshPromise !== null,
+        cacheAge: Math.floor(cacheAge / 1000) // seconds
       });
     }
 
-    // Fetch fresh data
-    console.log('🔄 Fetching fresh traffic data from Google...');
-    const trafficData = await fetchGoogleTrafficData();
-
-    // Update cache
-    trafficDataCache = trafficData;
-    trafficCacheTimestamp = now;
+    // Nothing cached yet, so this request has to wait for (or join) a fetch
+    console.log('🔄 Fetching fresh traffic data...');
+    const { points, failures } = await refreshTrafficCache();
 
     res.json({
       success: true,
-      data: trafficData,
+      data: points,
+      failures,
       cached: false,
       timestamp: new Date().toISOString()
     });
@@ -234,18 +642,17 @@ app.get('/api/traffic/roads', async (req, res) => {
   }
 });
 
-app.post('/api/traffic/refresh', async (req, res) => {
+app.post('/api/traffic/refresh', requireAdmin, async (req, res) => {
   console.log('🔄 Manual traffic cache refresh requested');
   
   try {
-    const trafficData = await fetchGoogleTrafficData();
-    trafficDataCache = trafficData;
-    trafficCacheTimestamp = Date.now();
+    const { points, failures } = await refreshTrafficCache();
     
     res.json({
       success: true,
       message: 'Traffic cache refreshed',
-      pointsCount: trafficData.length
+      pointsCount: points.length,
+      failures
     });
   } catch (error) {
     console.error('❌ Error refreshing traffic cache:', error);
@@ -257,525 +664,2976 @@ app.post('/api/traffic/refresh', async (req, res) => {
   }
 });
 
-app.get('/api/heatmap/history', async (req, res) => {
-  console.log('Request received for /api/heatmap/history (24h aggregated flight density)');
+const coordinateSchema = z.object({
+  lat: z.number().min(-90).max(90),
+  lng: z.number().min(-180).max(180)
+});
 
-  try {
-    const gridSizeDegrees = 0.005;
-    
-    const UAE_BOUNDS = {
-      minLat: 22.6,
-      minLng: 51.55,
-      maxLat: 26.3,
-      maxLng: 56.38
-    };
+const routeSchema = z.object({
+  name: z.string().trim().min(2, { message: "Route name must be at least 2 characters" }),
+  start: coordinateSchema,
+  end: coordinateSchema,
+  weight: z.number().min(0, { message: "Weight must be between 0 and 1" }).max(1, { message: "Weight must be between 0 and 1" }),
+  emirate: z.string().trim().min(1, { message: "Emirate is required" }),
+  enabled: z.boolean().optional()
+});
 
-    const { rows } = await pool.query(
-      `
-      WITH filtered_points AS (
-        -- Get all flight points from last 24 hours within UAE bounds
-        SELECT 
-          geom,
-          created_at
-        FROM noise_sources
-        WHERE 
-          source_type = 'flight'
-          AND created_at > NOW() - INTERVAL '24 hours'
-          -- Strict boundary enforcement
-          AND ST_X(geom::geometry) BETWEEN $2 AND $4
-          AND ST_Y(geom::geometry) BETWEEN $1 AND $3
-      ),
-      grid_cells AS (
-        -- Snap each point to a grid cell and count occurrences
-        SELECT
-          ST_SnapToGrid(geom, $5) AS grid_geom,
-          COUNT(*) AS flight_count
-        FROM filtered_points
-        GROUP BY grid_geom
-      ),
-      density_normalized AS (
-        -- Normalize density to 0-1 scale for better visualization
-        SELECT 
-          grid_geom,
-          flight_count,
-          -- Normalize: more flights = higher weight
-          LEAST(flight_count::float / 50.0, 1.0) AS normalized_density
-        FROM grid_cells
-        WHERE flight_count >= 2  -- Filter out noise (single occurrences)
-      )
-      SELECT 
-        ST_Y(grid_geom::geometry) AS lat,
-        ST_X(grid_geom::geometry) AS lng,
-        flight_count,
-        normalized_density,
-        -- Calculate noise level (40-90 dB range based on density)
-        (40 + (normalized_density * 50))::int AS noise_level
-      FROM density_normalized
-      ORDER BY flight_count DESC
-      `,
-      [
-        UAE_BOUNDS.minLat,
-        UAE_BOUNDS.minLng,
-        UAE_BOUNDS.maxLat,
-        UAE_BOUNDS.maxLng,
-        gridSizeDegrees
-      ]
-    );
-    
-    console.log(`✅ Fetched ${rows.length} aggregated density cells from 24h flight data`);
-
-    const heatmapData = rows.map((point, index) => ({
-      id: `density-cell-${index}`,
-      lat: parseFloat(point.lat),
-      lng: parseFloat(point.lng),
-      flightCount: parseInt(point.flight_count),
-      density: parseFloat(point.normalized_density),
-      noiseLevel: parseInt(point.noise_level),
-      source: 'flight',
-      emirate: 'UAE'
-    }));
+const routeUpdateSchema = routeSchema.partial().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: "At least one field must be provided" }
+);
 
-    res.json(heatmapData);
+const routeIdSchema = z.coerce.number().int().positive();
+
+app.get('/api/traffic/routes', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM traffic_routes ORDER BY id');
 
+    res.json({
+      success: true,
+      data: rows.map(mapRouteRow)
+    });
   } catch (error) {
-    console.error('❌ Error fetching aggregated flight density:', error);
+    console.error('❌ Error fetching traffic routes:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch flight density data.'
+      message: 'Failed to fetch traffic routes.'
     });
   }
 });
 
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
-
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
-function calculateNoiseLevel(altitude) {
-  if (altitude === null || altitude > 10000) {
-    return 0.1; 
-  }
-  if (altitude < 1000) {
-    return 1.0;
-  }
-  return 1.0 - (altitude - 1000) / 9000;
-}
-
-// const UAE_BOX = {
-//   lamin: 24.0,
-//   lomin: 54.0,
-//   lamax: 26.28,
-//   lomax: 56.25,
-// };
+app.post('/api/traffic/routes', requireAdmin, async (req, res) => {
+  try {
+    const route = routeSchema.parse(req.body);
 
-// const UAE_BOX = {
-//   lamin: 22.6,   // includes Al Ain & Liwa
-//   lomin: 51.6,   // includes western UAE near Saudi border
-//   lamax: 26.3,   // top border near Ras Al Khaimah
-//   lomax: 56.4,   // eastern edge, just before Oman’s Musandam tip
-// };
+    const { rows } = await pool.query(
+      `INSERT INTO traffic_routes (name, start_lat, start_lng, end_lat, end_lng, weight, emirate, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [route.name, route.start.lat, route.start.lng, route.end.lat, route.end.lng, route.weight, route.emirate, route.enabled ?? true]
+    );
 
-const UAE_BOX = {
-  lamin: 22.6,   // south border near Liwa & Al Ain
-  lomin: 51.55,  // west border near Saudi Arabia
-  lamax: 26.3,   // north border near Ras Al Khaimah
-  lomax: 56.38,  // east border near Fujairah but before Oman
-};
+    invalidateTrafficCache();
+    console.log(`🛣️ Traffic route created: ${route.name}`);
 
-async function fetchRealFlightData() {
-  console.log('Fetching real-time flight data...');
-  const url = `https://opensky-network.org/api/states/all?lamin=${UAE_BOX.lamin}&lomin=${UAE_BOX.lomin}&lamax=${UAE_BOX.lamax}&lomax=${UAE_BOX.lomax}`;
-  
-  const noiseDataPoints = [];
-  
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`OpenSky API error: ${response.statusText}`);
+    res.status(201).json({
+      success: true,
+      data: mapRouteRow(rows[0])
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route data.',
+        errors: error.issues.map(e => e.message),
+      });
     }
-    
-    const data = await response.json();
-    
-    if (data.states) {
-      data.states.forEach((state) => {
-        const [
-          icao24,       
-          callsign,     
-          origin_country, 
-          time_position,  
-          last_contact,   
-          longitude,    
-          latitude,    
-          baro_altitude, 
-          on_ground,   
-          velocity,    
-          true_track,     
-          vertical_rate,  
-          sensors,      
-          geo_altitude,  
-          squawk,       
-          spi,          
-          position_source
-        ] = state;
-
-        if (!on_ground && latitude && longitude) {
-          const altitude = geo_altitude || baro_altitude;
-          const noiseLevel = calculateNoiseLevel(altitude);
-          
-          noiseDataPoints.push({
-            id: icao24,
-            lat: latitude,
-            lng: longitude,
-            noiseLevel: 60 + (noiseLevel * 30),
-            source: 'flight',
-            emirate: 'UAE',
-            timestamp: new Date(time_position * 1000),
-            
-            altitude_meters: Math.round(altitude),
-            speed_kph: Math.round(velocity * 3.6),
-            geom: `POINT(${longitude} ${latitude})`
-          });
-        }
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A route with this name already exists.'
       });
     }
-    
-    console.log(`Fetched ${noiseDataPoints.length} active flights.`);
-    return noiseDataPoints;
 
-  } catch (error) {
-    console.error('Failed to fetch real flight data:', error.message);
-    return [];
+    console.error('❌ Error creating traffic route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create traffic route.'
+    });
   }
-}
-
-const registerSchema = z.object({
-  name: z.string().min(2, { message: "Name must be at least 2 characters" }),
-  email: z.string().email({ message: "Invalid email address" }),
-  password: z.string().min(8, { message: "Password must be at least 8 characters" }),
-  phone: z.string().min(10, { message: "Invalid phone number" })
 });
 
-app.post('/api/auth/request-otp', async (req, res) => {
+app.patch('/api/traffic/routes/:id', requireAdmin, async (req, res) => {
   try {
-    const { email, name, password, phone } = registerSchema.parse(req.body);
+    const id = routeIdSchema.parse(req.params.id);
+    const updates = routeUpdateSchema.parse(req.body);
 
-    const userCheck = await pool.query(
-      'SELECT id FROM users WHERE email = $1 OR phone_number = $2',
-      [email, phone]
-    );
+    const columns = {
+      name: updates.name,
+      start_lat: updates.start?.lat,
+      start_lng: updates.start?.lng,
+      end_lat: updates.end?.lat,
+      end_lng: updates.end?.lng,
+      weight: updates.weight,
+      emirate: updates.emirate,
+      enabled: updates.enabled
+    };
 
-    if (userCheck.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: 'An account with this email or phone number already exists.',
-      });
+    const assignments = [];
+    const values = [];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value === undefined) continue;
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
     }
+    values.push(id);
 
-    const otp = generateOTP();
-    const passwordHash = await bcrypt.hash(password, 10);
-
-    await pool.query(
-      'DELETE FROM otp_verifications WHERE email = $1 OR phone_number = $2',
-      [email, phone]
-    );
-    
-    await pool.query(
-      `INSERT INTO otp_verifications (name, email, password_hash, phone_number, otp_code)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [name, email, passwordHash, phone, otp]
+    const { rows } = await pool.query(
+      `UPDATE traffic_routes
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
     );
 
-    try {
-    //   await twilioClient.messages.create({
-    //     body: `Your UAE Noise Monitor verification code is: ${otp}`,
-    //     from: process.env.TWILIO_PHONE_NUMBER,
-    //     to: phone,
-    //   });
-      console.log(`*** FAKE OTP FOR ${phone}: ${otp} ***`);
-    } catch (twilioError) {
-      console.error('Twilio Error:', twilioError);
-      return res.status(500).json({
+    if (rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to send OTP. Please check the phone number.',
+        message: 'Traffic route not found.'
       });
     }
 
-    res.status(200).json({
+    invalidateTrafficCache();
+    console.log(`🛣️ Traffic route updated: ${rows[0].name}`);
+
+    res.json({
       success: true,
-      message: 'OTP sent successfully to your phone.',
+      data: mapRouteRow(rows[0])
     });
-
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid registration data.',
-        errors: error.errors.map(e => e.message),
+        message: 'Invalid route data.',
+        errors: error.issues.map(e => e.message),
       });
     }
 
-    console.error('Request-OTP error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'An internal server error occurred.',
-    });
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A route with this name already exists.'
+      });
+    }
+
+    console.error('❌ Error updating traffic route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update traffic route.'
+    });
+  }
+});
+
+app.delete('/api/traffic/routes/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = routeIdSchema.parse(req.params.id);
+
+    const { rows } = await pool.query(
+      'DELETE FROM traffic_routes WHERE id = $1 RETURNING name',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Traffic route not found.'
+      });
+    }
+
+    invalidateTrafficCache();
+    console.log(`🛣️ Traffic route deleted: ${rows[0].name}`);
+
+    res.json({
+      success: true,
+      message: 'Traffic route deleted.'
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid route id.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error deleting traffic route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete traffic route.'
+    });
+  }
+});
+
+const trafficHistoryQuerySchema = z.object({
+  route: z.string().trim().min(1).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  bucket: z.enum(Object.keys(HISTORY_BUCKETS)).default('1h')
+}).transform((query) => {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  return { ...query, from, to };
+}).refine((query) => query.from < query.to, {
+  message: "'from' must be before 'to'"
+}).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+  message: "Time range cannot exceed 7 days"
+});
+
+function mapHistoryBucket(row) {
+  return {
+    timestamp: row.bucket,
+    avgTrafficRatio: parseFloat(row.avg_traffic_ratio),
+    maxTrafficRatio: parseFloat(row.max_traffic_ratio),
+    avgDelay: parseFloat(row.avg_delay),
+    avgIntensity: parseFloat(row.avg_intensity),
+    samples: parseInt(row.samples)
+  };
+}
+
+app.get('/api/traffic/history', async (req, res) => {
+  console.log('📈 Request received for /api/traffic/history');
+
+  try {
+    const { route, from, to, bucket } = trafficHistoryQuerySchema.parse(req.query);
+    const bucketSeconds = HISTORY_BUCKETS[bucket];
+
+    // A route can be referenced by id or by name; history outlives deleted routes by name.
+    // Series are keyed by the route_name snapshotted at write time: deleting a route nulls
+    // route_id on its old rows, which would otherwise split one route into two series.
+    const { rows } = await pool.query(
+      `
+      SELECT
+        MAX(route_id) AS route_id,
+        route_name,
+        (ARRAY_AGG(emirate ORDER BY created_at DESC))[1] AS emirate,
+        to_timestamp(floor(extract(epoch FROM created_at) / $3) * $3) AS bucket,
+        AVG(traffic_ratio) AS avg_traffic_ratio,
+        MAX(traffic_ratio) AS max_traffic_ratio,
+        AVG(delay_minutes) AS avg_delay,
+        AVG(intensity) AS avg_intensity,
+        COUNT(*) AS samples
+      FROM traffic_snapshots
+      WHERE
+        created_at >= $1
+        AND created_at < $2
+        AND ($4::text IS NULL OR route_id::text = $4 OR route_name = $4)
+      GROUP BY route_name, bucket
+      ORDER BY route_name, bucket
+      `,
+      [from, to, bucketSeconds, route ?? null]
+    );
+
+    const routeSeries = new Map();
+    for (const row of rows) {
+      if (!routeSeries.has(row.route_name)) {
+        routeSeries.set(row.route_name, {
+          routeId: row.route_id,
+          route: row.route_name,
+          emirate: row.emirate,
+          series: []
+        });
+      }
+      const series = routeSeries.get(row.route_name);
+      // Orphaned buckets have no id; take it from any bucket that still has one
+      series.routeId ??= row.route_id;
+      series.emirate = row.emirate;
+      series.series.push(mapHistoryBucket(row));
+    }
+
+    const { rows: emirateRows } = await pool.query(
+      `
+      SELECT
+        emirate,
+        to_timestamp(floor(extract(epoch FROM created_at) / $3) * $3) AS bucket,
+        AVG(traffic_ratio) AS avg_traffic_ratio,
+        MAX(traffic_ratio) AS max_traffic_ratio,
+        AVG(delay_minutes) AS avg_delay,
+        AVG(intensity) AS avg_intensity,
+        COUNT(*) AS samples
+      FROM traffic_snapshots
+      WHERE
+        created_at >= $1
+        AND created_at < $2
+        AND ($4::text IS NULL OR route_id::text = $4 OR route_name = $4)
+      GROUP BY emirate, bucket
+      ORDER BY emirate, bucket
+      `,
+      [from, to, bucketSeconds, route ?? null]
+    );
+
+    const emirateSeries = new Map();
+    for (const row of emirateRows) {
+      if (!emirateSeries.has(row.emirate)) {
+        emirateSeries.set(row.emirate, { emirate: row.emirate, series: [] });
+      }
+      emirateSeries.get(row.emirate).series.push(mapHistoryBucket(row));
+    }
+
+    console.log(`✅ Built traffic history for ${routeSeries.size} routes (${bucket} buckets)`);
+
+    res.json({
+      success: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket,
+      routes: [...routeSeries.values()],
+      emirates: [...emirateSeries.values()]
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid history query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching traffic history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch traffic history.'
+    });
+  }
+});
+
+const MAX_HEATMAP_RESULTS = 50000;
+
+// Scale a cell count to 0-1 for visualisation
+//   fixed - count / scale, capped at 1 (the original behaviour with scale = 50)
+//   max   - relative to the busiest cell in the result
+//   log   - log-scaled relative to the busiest cell, keeps quiet cells visible
+function normalizeDensity(count, maxCount, mode, scale) {
+  if (mode === 'max') {
+    return maxCount > 0 ? count / maxCount : 0;
+  }
+  if (mode === 'log') {
+    return maxCount > 0 ? Math.log1p(count) / Math.log1p(maxCount) : 0;
+  }
+  return Math.min(count / scale, 1.0);
+}
+
+app.get('/api/heatmap/history', async (req, res) => {
+  console.log('Request received for /api/heatmap/history (aggregated flight density)');
+
+  try {
+    const { from, to, bbox, gridSize, source, phase, airport, minCount, normalize, scale } =
+      heatmapHistoryQuerySchema.parse(req.query);
+
+    const { rows } = await pool.query(
+      `
+      WITH filtered_points AS (
+        -- Get all points in the requested window within the bounding box
+        SELECT 
+          geom,
+          created_at,
+          emirate,
+          district
+        FROM noise_sources
+        WHERE 
+          source_type = ANY($6)
+          AND created_at >= $7
+          AND created_at < $8
+          AND ($11::text[] IS NULL OR flight_phase = ANY($11))
+          AND ($12::text[] IS NULL OR airport = ANY($12))
+          -- Strict boundary enforcement
+          AND ST_X(geom::geometry) BETWEEN $2 AND $4
+          AND ST_Y(geom::geometry) BETWEEN $1 AND $3
+      ),
+      grid_cells AS (
+        -- Snap each point to a grid cell and count occurrences. The region is the one most
+        -- of the cell's points were labelled with when they were stored.
+        SELECT
+          ST_SnapToGrid(geom, $5) AS grid_geom,
+          COUNT(*) AS flight_count,
+          mode() WITHIN GROUP (ORDER BY emirate) AS emirate,
+          mode() WITHIN GROUP (ORDER BY district) AS district
+        FROM filtered_points
+        GROUP BY grid_geom
+      )
+      SELECT 
+        ST_Y(grid_geom::geometry) AS lat,
+        ST_X(grid_geom::geometry) AS lng,
+        flight_count,
+        emirate,
+        district
+      FROM grid_cells
+      WHERE flight_count >= $9  -- Filter out noise (single occurrences)
+      ORDER BY flight_count DESC
+      LIMIT $10
+      `,
+      [
+        bbox.minLat,
+        bbox.minLng,
+        bbox.maxLat,
+        bbox.maxLng,
+        gridSize,
+        source,
+        from,
+        to,
+        minCount,
+        MAX_HEATMAP_RESULTS,
+        phase ?? null,
+        airport ?? null
+      ]
+    );
+    
+    console.log(`✅ Fetched ${rows.length} aggregated density cells (${from.toISOString()} → ${to.toISOString()}, grid ${gridSize}°)`);
+
+    // Rows are sorted by count, so the first one is the busiest cell
+    const maxCount = rows.length > 0 ? parseInt(rows[0].flight_count) : 0;
+
+    const heatmapData = rows.map((point, index) => {
+      const flightCount = parseInt(point.flight_count);
+      const density = normalizeDensity(flightCount, maxCount, normalize, scale);
+
+      return {
+        id: `density-cell-${index}`,
+        lat: parseFloat(point.lat),
+        lng: parseFloat(point.lng),
+        flightCount,
+        density,
+        // Calculate noise level (40-90 dB range based on density)
+        noiseLevel: Math.round(40 + (density * 50)),
+        source: source.join(','),
+        // Cell centre by point-in-polygon; 'UAE' until boundaries are loaded
+        emirate: boundaryCount > 0 ? point.emirate : 'UAE',
+        district: point.district
+      };
+    });
+
+    res.json(heatmapData);
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid heatmap query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching aggregated flight density:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flight density data.'
+    });
+  }
+});
+
+app.get('/api/heatmap/frames', async (req, res) => {
+  console.log('🎞️ Request received for /api/heatmap/frames');
+
+  try {
+    const { from, to, bbox, gridSize, source, phase, airport, minCount, normalize, scale, bucket } =
+      heatmapFramesQuerySchema.parse(req.query);
+    const bucketSeconds = HISTORY_BUCKETS[bucket];
+
+    const params = [
+      bbox.minLat, bbox.minLng, bbox.maxLat, bbox.maxLng, source, from, to, bucketSeconds,
+      phase ?? null, airport ?? null
+    ];
+    const filteredPoints = `
+      SELECT
+        geom,
+        source_id,
+        to_timestamp(floor(extract(epoch FROM created_at) / $8) * $8) AS frame
+      FROM noise_sources
+      WHERE
+        source_type = ANY($5)
+        AND created_at >= $6
+        AND created_at < $7
+        AND ($9::text[] IS NULL OR flight_phase = ANY($9))
+        AND ($10::text[] IS NULL OR airport = ANY($10))
+        AND ST_X(geom::geometry) BETWEEN $2 AND $4
+        AND ST_Y(geom::geometry) BETWEEN $1 AND $3
+    `;
+
+    // Lay out every frame in the window, including empty ones, so playback keeps a steady pace
+    const bucketMs = bucketSeconds * 1000;
+    const frames = new Map();
+    for (let t = Math.floor(from.getTime() / bucketMs) * bucketMs; t < to.getTime(); t += bucketMs) {
+      frames.set(t, {
+        timestamp: new Date(t).toISOString(),
+        totals: { points: 0, sources: 0, cells: 0, maxCount: 0 },
+        truncated: false,
+        cells: []
+      });
+    }
+
+    // The result cap is shared out evenly so a busy early frame can't starve the later ones.
+    // The window-wide maximum and per-frame cell counts come from before the cut.
+    const perFrameLimit = Math.max(1, Math.floor(MAX_HEATMAP_RESULTS / frames.size));
+
+    const { rows } = await pool.query(
+      `
+      WITH filtered_points AS (${filteredPoints}),
+      grid_cells AS (
+        SELECT
+          frame,
+          ST_SnapToGrid(geom, $11) AS grid_geom,
+          COUNT(*) AS flight_count
+        FROM filtered_points
+        GROUP BY frame, grid_geom
+      ),
+      ranked_cells AS (
+        SELECT
+          frame,
+          grid_geom,
+          flight_count,
+          ROW_NUMBER() OVER (PARTITION BY frame ORDER BY flight_count DESC) AS frame_rank,
+          COUNT(*) OVER (PARTITION BY frame) AS frame_cells,
+          MAX(flight_count) OVER () AS window_max
+        FROM grid_cells
+        WHERE flight_count >= $12
+      )
+      SELECT
+        frame,
+        ST_Y(grid_geom::geometry) AS lat,
+        ST_X(grid_geom::geometry) AS lng,
+        flight_count,
+        frame_cells,
+        window_max
+      FROM ranked_cells
+      WHERE frame_rank <= $13
+      ORDER BY frame, flight_count DESC
+      `,
+      [...params, gridSize, minCount, perFrameLimit]
+    );
+
+    const { rows: totalRows } = await pool.query(
+      `
+      WITH filtered_points AS (${filteredPoints})
+      SELECT
+        frame,
+        COUNT(*) AS point_count,
+        COUNT(DISTINCT source_id) AS source_count
+      FROM filtered_points
+      GROUP BY frame
+      `,
+      params
+    );
+
+    for (const row of totalRows) {
+      const frame = frames.get(new Date(row.frame).getTime());
+      if (!frame) continue;
+      frame.totals.points = parseInt(row.point_count);
+      frame.totals.sources = parseInt(row.source_count);
+    }
+
+    // Normalise against the busiest cell in the whole window so frames are comparable
+    const maxCount = rows.length > 0 ? parseInt(rows[0].window_max) : 0;
+
+    for (const row of rows) {
+      const frame = frames.get(new Date(row.frame).getTime());
+      if (!frame) continue;
+
+      const flightCount = parseInt(row.flight_count);
+      const density = normalizeDensity(flightCount, maxCount, normalize, scale);
+
+      frame.cells.push({
+        lat: parseFloat(row.lat),
+        lng: parseFloat(row.lng),
+        flightCount,
+        density,
+        noiseLevel: Math.round(40 + (density * 50))
+      });
+      frame.totals.cells = parseInt(row.frame_cells);
+      frame.totals.maxCount = Math.max(frame.totals.maxCount, flightCount);
+      frame.truncated = frame.totals.cells > perFrameLimit;
+    }
+
+    const truncatedFrames = [...frames.values()].filter(frame => frame.truncated).length;
+    console.log(`✅ Built ${frames.size} heatmap frames (${bucket} buckets, ${rows.length} cells, ${truncatedFrames} truncated)`);
+
+    res.json({
+      success: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket,
+      gridSize,
+      source,
+      phase: phase ?? null,
+      airport: airport ?? null,
+      normalize,
+      maxCount,
+      maxCellsPerFrame: perFrameLimit,
+      truncated: truncatedFrames > 0,
+      frames: [...frames.values()]
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid heatmap frames query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error building heatmap frames:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build heatmap frames.'
+    });
+  }
+});
+
+const TILE_CACHE_TTL_MS = 60 * 1000; // flight points arrive every minute
+const TILE_CACHE_MAX_ENTRIES = 1000;
+const TILE_CELLS_PER_SIDE = 64;
+const TILE_EXTENT = 4096;
+const tileCache = new Map();
+
+function getCachedTile(key) {
+  const entry = tileCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > TILE_CACHE_TTL_MS) {
+    tileCache.delete(key);
+    return null;
+  }
+  // Re-insert so the Map's insertion order doubles as LRU order
+  tileCache.delete(key);
+  tileCache.set(key, entry);
+  return entry.tile;
+}
+
+function setCachedTile(key, tile) {
+  tileCache.set(key, { tile, createdAt: Date.now() });
+  while (tileCache.size > TILE_CACHE_MAX_ENTRIES) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+}
+
+const tileParamsSchema = z.object({
+  z: z.coerce.number().int().min(0).max(18),
+  x: z.coerce.number().int().min(0),
+  y: z.coerce.number().int().min(0)
+}).refine((tile) => tile.x < 2 ** tile.z && tile.y < 2 ** tile.z, {
+  message: "Tile coordinates are out of range for this zoom level"
+});
+
+const tileQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  source: sourceListSchema.default(['flight']),
+  phase: flightPhaseListSchema.optional(),
+  airport: airportListSchema.optional(),
+  minCount: z.coerce.number().int().min(1).max(10000).default(2),
+  scale: z.coerce.number().positive().max(100000).default(50)
+}).transform((query) => {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  return { ...query, from, to };
+}).refine((query) => query.from < query.to, {
+  message: "'from' must be before 'to'"
+}).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+  message: "Time range cannot exceed 7 days"
+});
+
+// Grid gets finer as you zoom in: a fixed number of cells across each tile,
+// never finer than the smallest grid /api/heatmap/history allows
+function tileGridSize(zoom) {
+  return Math.max(0.0005, 360 / 2 ** zoom / TILE_CELLS_PER_SIDE);
+}
+
+app.get('/api/heatmap/tiles/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    const { z: zoom, x, y } = tileParamsSchema.parse(req.params);
+    const { from, to, source, phase, airport, minCount, scale } = tileQuerySchema.parse(req.query);
+
+    // Round the window to the minute so tiles requested moments apart share a cache entry
+    const fromMinute = new Date(Math.floor(from.getTime() / 60000) * 60000);
+    const toMinute = new Date(Math.floor(to.getTime() / 60000) * 60000);
+    const cacheKey = [
+      zoom, x, y, fromMinute.getTime(), toMinute.getTime(),
+      source.join(','), phase?.join(',') ?? '', airport?.join(',') ?? '', minCount, scale
+    ].join('/');
+
+    let tile = getCachedTile(cacheKey);
+    const cacheHit = tile !== null;
+
+    if (!cacheHit) {
+      const gridSize = tileGridSize(zoom);
+      // Keep density comparable across zoom levels: bigger cells need more points to saturate
+      const cellScale = scale * (gridSize / 0.005) ** 2;
+
+      const { rows } = await pool.query(
+        `
+        WITH bounds AS (
+          SELECT
+            ST_TileEnvelope($1, $2, $3) AS geom_3857,
+            ST_Transform(ST_TileEnvelope($1, $2, $3), 4326) AS geom_4326
+        ),
+        grid_cells AS (
+          SELECT
+            ST_SnapToGrid(ns.geom::geometry, $4) AS cell,
+            COUNT(*) AS flight_count
+          FROM noise_sources ns, bounds
+          WHERE
+            ns.source_type = ANY($5)
+            AND ns.created_at >= $6
+            AND ns.created_at < $7
+            AND ($11::text[] IS NULL OR ns.flight_phase = ANY($11))
+            AND ($12::text[] IS NULL OR ns.airport = ANY($12))
+            AND ST_Intersects(ns.geom::geometry, bounds.geom_4326)
+          GROUP BY cell
+          HAVING COUNT(*) >= $8
+        ),
+        mvt_geom AS (
+          SELECT
+            ST_AsMVTGeom(ST_Transform(ST_SetSRID(cell, 4326), 3857), bounds.geom_3857, $10, 64, true) AS geom,
+            flight_count,
+            LEAST(flight_count::float / $9, 1.0) AS density,
+            (40 + LEAST(flight_count::float / $9, 1.0) * 50)::int AS noise_level
+          FROM grid_cells, bounds
+        )
+        SELECT ST_AsMVT(mvt_geom.*, 'flight_density', $10, 'geom') AS tile
+        FROM mvt_geom
+        `,
+        [zoom, x, y, gridSize, source, fromMinute, toMinute, minCount, cellScale, TILE_EXTENT, phase ?? null, airport ?? null]
+      );
+
+      tile = rows[0]?.tile ?? Buffer.alloc(0);
+      setCachedTile(cacheKey, tile);
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.mapbox-vector-tile',
+      'Cache-Control': `public, max-age=${TILE_CACHE_TTL_MS / 1000}`,
+      'X-Tile-Cache': cacheHit ? 'HIT' : 'MISS'
+    });
+
+    if (tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.send(tile);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tile request.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error building heatmap tile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build heatmap tile.'
+    });
+  }
+});
+
+const MAX_COMBINED_NOISE_CELLS = 250000;
+
+const combinedNoiseQuerySchema = z.object({
+  bbox: bboxSchema.optional(),
+  at: z.coerce.date().optional(),
+  cellSize: z.coerce.number().min(0.001).max(0.1).default(0.01)
+}).transform((query) => ({
+  ...query,
+  bbox: query.bbox ?? UAE_BOUNDS,
+  at: query.at ?? new Date()
+})).refine((query) => {
+  const columns = (query.bbox.maxLng - query.bbox.minLng) / query.cellSize;
+  const rows = (query.bbox.maxLat - query.bbox.minLat) / query.cellSize;
+  return columns * rows <= MAX_COMBINED_NOISE_CELLS;
+}, {
+  message: "bbox is too large for this cellSize; zoom in or use a larger cellSize"
+}).refine((query) => {
+  const age = Date.now() - query.at.getTime();
+  return age >= -60 * 1000 && age <= MAX_HISTORY_RANGE_MS;
+}, {
+  message: "'at' must be within the last 7 days"
+});
+
+// Latest position of every aircraft seen in the two minutes up to `at`, spread over
+// the ground cells it is audible in. Aircraft just outside the bbox can still be heard
+// inside it, so the search area is padded.
+async function getFlightNoiseContributions(bbox, at, cellSize) {
+  const padding = 0.15; // degrees, ~15 km
+  const { rows } = await pool.query(
+    `
+    SELECT DISTINCT ON (source_id)
+      source_id,
+      ST_Y(geom::geometry) AS lat,
+      ST_X(geom::geometry) AS lng,
+      altitude_meters,
+      speed_kph,
+      vertical_rate
+    FROM noise_sources
+    WHERE
+      source_type = 'flight'
+      AND created_at > $5::timestamptz - INTERVAL '2 minutes'
+      AND created_at <= $5
+      AND ST_X(geom::geometry) BETWEEN $1 AND $3
+      AND ST_Y(geom::geometry) BETWEEN $2 AND $4
+    ORDER BY source_id, created_at DESC
+    `,
+    [bbox.minLng - padding, bbox.minLat - padding, bbox.maxLng + padding, bbox.maxLat + padding, at]
+  );
+
+  return rows.flatMap(row => {
+    const { footprint } = estimateAircraftNoise({
+      lat: parseFloat(row.lat),
+      lng: parseFloat(row.lng),
+      altitude: row.altitude_meters,
+      speedMs: row.speed_kph === null ? null : row.speed_kph / 3.6,
+      verticalRate: row.vertical_rate,
+      cellSize
+    });
+
+    return footprint.map(cell => ({
+      source: 'flight',
+      group: row.source_id,
+      lat: cell.lat,
+      lng: cell.lng,
+      level: cell.noiseLevel
+    }));
+  });
+}
+
+// Live traffic comes from the cache; for past times we only have per-route ratios in
+// traffic_snapshots, so those are applied to the current route geometry.
+//
+// This runs for the exposure job and the public /api/noise/combined, so it never fetches:
+// that would spend provider quota without anyone asking for it. A stale cache can't be
+// reported as the current level either, so then the latest recorded snapshots are used.
+async function getRoadNoiseContributions(at, warnings) {
+  if (!trafficDataCache) {
+    warnings.push('Road traffic unavailable: no traffic data has been fetched yet');
+    return { mode: 'unavailable', contributions: [] };
+  }
+
+  const wantsLive = Math.abs(Date.now() - at.getTime()) <= TRAFFIC_CACHE_DURATION;
+  const cacheIsFresh =
+    trafficCacheTimestamp !== null && Date.now() - trafficCacheTimestamp < TRAFFIC_CACHE_DURATION;
+  if (wantsLive && !cacheIsFresh) {
+    warnings.push('Live road traffic is out of date, using recorded snapshots');
+  }
+
+  const trafficPoints = trafficDataCache;
+  const toContribution = (point, level) => ({
+    source: 'road',
+    group: point.route,
+    lat: point.lat,
+    lng: point.lng,
+    level
+  });
+
+  if (wantsLive && cacheIsFresh) {
+    return {
+      mode: 'live',
+      contributions: trafficPoints.map(point => toContribution(point, point.noiseLevel))
+    };
+  }
+
+  const { rows } = await pool.query(
+    `
+    SELECT DISTINCT ON (route_name) route_name, traffic_ratio
+    FROM traffic_snapshots
+    WHERE created_at <= $1 AND created_at > $1::timestamptz - INTERVAL '30 minutes'
+    ORDER BY route_name, created_at DESC
+    `,
+    [at]
+  );
+
+  const ratios = new Map(rows.map(row => [row.route_name, row.traffic_ratio]));
+  const weights = new Map((await getActiveRoutes()).map(route => [route.name, route.weight]));
+
+  if (ratios.size === 0) {
+    warnings.push('No road traffic snapshots recorded around the requested time');
+  }
+
+  return {
+    mode: 'historical',
+    contributions: trafficPoints
+      .filter(point => ratios.has(point.route) && weights.has(point.route))
+      .map(point => toContribution(point, estimateRoadNoise({
+        trafficRatio: ratios.get(point.route),
+        weight: weights.get(point.route)
+      }).noiseLevel))
+  };
+}
+
+// Latest computed exposure of the buildings in the bbox, see updateBuildingExposure()
+async function getBuildingExposures(bbox) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      id,
+      current_noise,
+      noise_updated_at,
+      ST_Y(geog::geometry) AS lat,
+      ST_X(geog::geometry) AS lng
+    FROM buildings
+    WHERE
+      current_noise IS NOT NULL
+      AND ST_X(geog::geometry) BETWEEN $1 AND $3
+      AND ST_Y(geog::geometry) BETWEEN $2 AND $4
+    `,
+    [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    lat: parseFloat(row.lat),
+    lng: parseFloat(row.lng),
+    noiseLevel: parseFloat(row.current_noise),
+    updatedAt: row.noise_updated_at
+  }));
+}
+
+app.get('/api/noise/combined', async (req, res) => {
+  console.log('🔊 Request received for /api/noise/combined');
+
+  try {
+    const { bbox, at, cellSize } = combinedNoiseQuerySchema.parse(req.query);
+    const warnings = [];
+
+    const [flight, road, buildings] = await Promise.all([
+      getFlightNoiseContributions(bbox, at, cellSize),
+      getRoadNoiseContributions(at, warnings),
+      getBuildingExposures(bbox)
+    ]);
+
+    // Buildings are receivers: their current_noise is already derived from flights and roads,
+    // so fusing it in as a source would count the same noise twice
+    const cells = buildNoiseGrid({
+      bbox,
+      cellSize,
+      contributions: [...flight, ...road.contributions]
+    });
+
+    console.log(`✅ Combined ${flight.length} flight and ${road.contributions.length} road contributions into ${cells.length} cells`);
+
+    res.json({
+      success: true,
+      at: at.toISOString(),
+      bbox,
+      cellSize,
+      sources: {
+        flight: { count: flight.length, aircraft: new Set(flight.map(c => c.group)).size },
+        road: { count: road.contributions.length, mode: road.mode }
+      },
+      warnings,
+      cells,
+      buildings
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid combined noise query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error building combined noise grid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build combined noise data.'
+    });
+  }
+});
+
+const TRACK_FORMATS = ['json', 'geojson'];
+
+const flightTrackQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  gap: z.coerce.number().int().min(1).max(180).default(10), // minutes between fixes that splits flights
+  format: z.enum(TRACK_FORMATS).default('json')
+}).transform((query) => {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  return { ...query, from, to };
+}).refine((query) => query.from < query.to, {
+  message: "'from' must be before 'to'"
+}).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+  message: "Time range cannot exceed 7 days"
+});
+
+const activeFlightsQuerySchema = z.object({
+  within: z.coerce.number().int().min(1).max(60).default(5),     // minutes since last fix
+  history: z.coerce.number().int().min(5).max(360).default(60),  // minutes of track to include
+  gap: z.coerce.number().int().min(1).max(180).default(10),
+  format: z.enum(TRACK_FORMATS).default('json')
+});
+
+const icao24Schema = z.string().regex(/^[0-9a-f]{6}$/i, { message: "icao24 must be a 6 character hex address" })
+  .transform((value) => value.toLowerCase());
+
+function mapTrackRow(row) {
+  return {
+    lat: parseFloat(row.lat),
+    lng: parseFloat(row.lng),
+    altitude: row.altitude_meters === null ? null : parseInt(row.altitude_meters),
+    speed: row.speed_kph === null ? null : parseInt(row.speed_kph),
+    timestamp: new Date(row.created_at)
+  };
+}
+
+app.get('/api/flights/status', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...openSky.getStatus(),
+      lastBroadcastFlightCount: lastKnownFlightData.length
+    }
+  });
+});
+
+app.get('/api/airports', (req, res) => {
+  res.json({
+    success: true,
+    phases: FLIGHT_PHASES,
+    data: UAE_AIRPORTS.map(airport => ({
+      ...airport,
+      runways: airport.runways.map(runway => ({
+        ...runway,
+        thresholds: runwayThresholds(runway)
+      }))
+    }))
+  });
+});
+
+app.get('/api/flights/active', async (req, res) => {
+  console.log('✈️ Request received for /api/flights/active');
+
+  try {
+    const { within, history, gap, format } = activeFlightsQuerySchema.parse(req.query);
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        source_id,
+        ST_Y(geom::geometry) AS lat,
+        ST_X(geom::geometry) AS lng,
+        altitude_meters,
+        speed_kph,
+        created_at
+      FROM noise_sources
+      WHERE
+        source_type = 'flight'
+        AND created_at > NOW() - make_interval(mins => $2)
+        AND source_id IN (
+          SELECT DISTINCT source_id
+          FROM noise_sources
+          WHERE source_type = 'flight' AND created_at > NOW() - make_interval(mins => $1)
+        )
+      ORDER BY source_id, created_at
+      `,
+      [within, history]
+    );
+
+    const pointsByAircraft = new Map();
+    for (const row of rows) {
+      if (!pointsByAircraft.has(row.source_id)) {
+        pointsByAircraft.set(row.source_id, []);
+      }
+      pointsByAircraft.get(row.source_id).push(mapTrackRow(row));
+    }
+
+    // Only the flight currently in progress matters here, i.e. the last track per aircraft
+    const flights = [...pointsByAircraft].map(([icao24, points]) => {
+      const tracks = buildFlightTracks(points, { maxGapMs: gap * 60 * 1000 });
+      return { icao24, track: tracks[tracks.length - 1] };
+    });
+
+    console.log(`✅ Rebuilt tracks for ${flights.length} active aircraft`);
+
+    if (format === 'geojson') {
+      return res.type('application/geo+json').json({
+        type: 'FeatureCollection',
+        features: flights.flatMap(({ icao24, track }) => tracksToGeoJSON(icao24, [track]).features)
+      });
+    }
+
+    res.json({
+      success: true,
+      count: flights.length,
+      flights
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid active flights query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching active flights:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active flights.'
+    });
+  }
+});
+
+// Current ground footprint of a live flight; delta WebSocket messages leave it out
+app.get('/api/flights/:icao24/footprint', (req, res) => {
+  try {
+    const icao24 = icao24Schema.parse(req.params.icao24);
+    const flight = lastKnownFlightData.find(point => point.id === icao24);
+
+    if (!flight) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flight is not currently tracked.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: flight.id,
+        timestamp: flight.timestamp,
+        cellSize: FLIGHT_FOOTPRINT_CELL_SIZE,
+        footprint: flight.footprint
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flight id.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching flight footprint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flight footprint.'
+    });
+  }
+});
+
+app.get('/api/flights/:icao24/track', async (req, res) => {
+  try {
+    const icao24 = icao24Schema.parse(req.params.icao24);
+    const { from, to, gap, format } = flightTrackQuerySchema.parse(req.query);
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        ST_Y(geom::geometry) AS lat,
+        ST_X(geom::geometry) AS lng,
+        altitude_meters,
+        speed_kph,
+        created_at
+      FROM noise_sources
+      WHERE
+        source_type = 'flight'
+        AND source_id = $1
+        AND created_at >= $2
+        AND created_at < $3
+      ORDER BY created_at
+      `,
+      [icao24, from, to]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No track points found for this aircraft in the requested window.'
+      });
+    }
+
+    const tracks = buildFlightTracks(rows.map(mapTrackRow), { maxGapMs: gap * 60 * 1000 });
+
+    console.log(`✅ Rebuilt ${tracks.length} flights for ${icao24} from ${rows.length} points`);
+
+    if (format === 'geojson') {
+      return res.type('application/geo+json').json(tracksToGeoJSON(icao24, tracks));
+    }
+
+    res.json({
+      success: true,
+      icao24,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      flights: tracks
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flight track query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching flight track:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch flight track.'
+    });
+  }
+});
+
+const regionQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  emirate: z.string().trim().min(1).optional(),
+  format: z.enum(TRACK_FORMATS).default('json')
+}).transform((query) => {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  return { ...query, from, to };
+}).refine((query) => query.from < query.to, {
+  message: "'from' must be before 'to'"
+}).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+  message: "Time range cannot exceed 7 days"
+});
+
+// Districts are matched on (emirate, name) since district names only have to be unique per emirate
+const REGION_KEYS = {
+  emirate: { groupBy: 'emirate', matches: (alias) => `${alias}.emirate = b.name` },
+  district: { groupBy: 'emirate, district', matches: (alias) => `${alias}.emirate = b.emirate AND ${alias}.district = b.name` }
+};
+
+function mapRegionRow(row) {
+  const fixes = parseInt(row.fixes);
+  const areaKm2 = parseFloat(row.area_km2);
+  return {
+    name: row.name,
+    emirate: row.emirate,
+    areaKm2: Math.round(areaKm2 * 10) / 10,
+    flights: {
+      fixes,
+      aircraft: parseInt(row.aircraft),
+      arrivals: parseInt(row.arrivals),
+      departures: parseInt(row.departures),
+      // Area-normalised so large and small regions can be compared
+      fixesPerKm2: areaKm2 > 0 ? fixes / areaKm2 : 0
+    },
+    buildings: {
+      count: parseInt(row.building_count),
+      avgNoise: row.avg_noise === null ? null : parseFloat(row.avg_noise),
+      maxNoise: row.max_noise === null ? null : parseFloat(row.max_noise)
+    }
+  };
+}
+
+function regionStatsHandler(level) {
+  const { groupBy, matches } = REGION_KEYS[level];
+
+  return async (req, res) => {
+    console.log(`🗺️ Request received for ${level} aggregates`);
+
+    try {
+      const { from, to, emirate, format } = regionQuerySchema.parse(req.query);
+
+      const { rows } = await pool.query(
+        `
+        WITH flight_stats AS (
+          SELECT
+            ${groupBy},
+            COUNT(*) AS fixes,
+            COUNT(DISTINCT source_id) AS aircraft,
+            COUNT(*) FILTER (WHERE flight_phase = 'arrival') AS arrivals,
+            COUNT(*) FILTER (WHERE flight_phase = 'departure') AS departures
+          FROM noise_sources
+          WHERE
+            source_type = 'flight'
+            AND created_at >= $1
+            AND created_at < $2
+            AND emirate IS NOT NULL
+          GROUP BY ${groupBy}
+        ),
+        building_stats AS (
+          SELECT
+            ${groupBy},
+            COUNT(*) AS building_count,
+            AVG(current_noise) AS avg_noise,
+            MAX(current_noise) AS max_noise
+          FROM buildings
+          GROUP BY ${groupBy}
+        )
+        SELECT
+          b.name,
+          b.emirate,
+          ST_Area(b.geom::geography) / 1e6 AS area_km2,
+          COALESCE(f.fixes, 0) AS fixes,
+          COALESCE(f.aircraft, 0) AS aircraft,
+          COALESCE(f.arrivals, 0) AS arrivals,
+          COALESCE(f.departures, 0) AS departures,
+          COALESCE(bs.building_count, 0) AS building_count,
+          bs.avg_noise,
+          bs.max_noise
+          ${format === 'geojson' ? ', ST_AsGeoJSON(ST_SimplifyPreserveTopology(b.geom, 0.001)) AS geometry' : ''}
+        FROM boundaries b
+        LEFT JOIN flight_stats f ON ${matches('f')}
+        LEFT JOIN building_stats bs ON ${matches('bs')}
+        WHERE b.level = $3 AND ($4::text IS NULL OR b.emirate = $4)
+        ORDER BY fixes DESC, b.name
+        `,
+        [from, to, level, emirate ?? null]
+      );
+
+      console.log(`✅ Aggregated ${rows.length} ${level} regions`);
+
+      if (format === 'geojson') {
+        return res.type('application/geo+json').json({
+          type: 'FeatureCollection',
+          features: rows.map(row => ({
+            type: 'Feature',
+            geometry: JSON.parse(row.geometry),
+            properties: mapRegionRow(row)
+          }))
+        });
+      }
+
+      res.json({
+        success: true,
+        level,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        data: rows.map(mapRegionRow)
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid region query.',
+          errors: error.issues.map(e => e.message),
+        });
+      }
+
+      console.error(`❌ Error aggregating ${level} regions:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to aggregate ${level} statistics.`
+      });
+    }
+  };
+}
+
+app.get('/api/regions/emirates', regionStatsHandler('emirate'));
+app.get('/api/regions/districts', regionStatsHandler('district'));
+
+// An explicit locale from the client wins, then Accept-Language
+function preferredLocale(req, locale) {
+  return locale ?? (req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE);
+}
+
+function deliverOtp(phone, otp, locale) {
+  return notifications.send({
+    channel: 'sms',
+    to: phone,
+    template: 'registration_otp',
+    locale,
+    data: { code: otp, minutes: OTP_TTL_MINUTES }
+  });
+}
+
+// Ground footprint sent with each live flight; /api/noise/combined recomputes it at the requested cell size
+const FLIGHT_FOOTPRINT_CELL_SIZE = 0.01;
+const FLIGHT_FOOTPRINT_THRESHOLD_DB = 50;
+
+// const UAE_BOX = {
+//   lamin: 24.0,
+//   lomin: 54.0,
+//   lamax: 26.28,
+//   lomax: 56.25,
+// };
+
+// const UAE_BOX = {
+//   lamin: 22.6,   // includes Al Ain & Liwa
+//   lomin: 51.6,   // includes western UAE near Saudi border
+//   lamax: 26.3,   // top border near Ras Al Khaimah
+//   lomax: 56.4,   // eastern edge, just before Oman’s Musandam tip
+// };
+
+const UAE_BOX = {
+  lamin: 22.6,   // south border near Liwa & Al Ain
+  lomin: 51.55,  // west border near Saudi Arabia
+  lamax: 26.3,   // north border near Ras Al Khaimah
+  lomax: 56.38,  // east border near Fujairah but before Oman
+};
+
+const openSky = createOpenSkyClient(process.env);
+
+// Throws OpenSkyError on failure so callers can tell "no flights" apart from "no data"
+async function fetchRealFlightData() {
+  console.log('Fetching real-time flight data...');
+  const data = await openSky.fetchStates(UAE_BOX);
+  
+  const noiseDataPoints = [];
+  
+  if (data.states) {
+    data.states.forEach((state) => {
+      const [
+        icao24,       
+        callsign,     
+        origin_country, 
+        time_position,  
+        last_contact,   
+        longitude,    
+        latitude,    
+        baro_altitude, 
+        on_ground,   
+        velocity,    
+        true_track,     
+        vertical_rate,  
+        sensors,      
+        geo_altitude,  
+        squawk,       
+        spi,          
+        position_source
+      ] = state;
+
+      if (!on_ground && latitude && longitude) {
+        const altitude = geo_altitude || baro_altitude;
+        const noise = estimateAircraftNoise({
+          lat: latitude,
+          lng: longitude,
+          altitude,
+          speedMs: velocity,
+          verticalRate: vertical_rate,
+          cellSize: FLIGHT_FOOTPRINT_CELL_SIZE,
+          threshold: FLIGHT_FOOTPRINT_THRESHOLD_DB
+        });
+        const flightPhase = classifyFlightPhase({
+          lat: latitude,
+          lng: longitude,
+          altitude,
+          trueTrack: true_track,
+          verticalRate: vertical_rate
+        });
+        
+        noiseDataPoints.push({
+          id: icao24,
+          lat: latitude,
+          lng: longitude,
+          noiseLevel: noise.groundLevel, // dB(A) directly below the aircraft
+          sourceLevel: noise.sourceLevel,
+          thrustPhase: noise.phase,
+          footprint: noise.footprint,
+          flightPhase: flightPhase.phase,
+          airport: flightPhase.airport,
+          runway: flightPhase.runway,
+          source: 'flight',
+          emirate: 'UAE',
+          timestamp: new Date(time_position * 1000),
+          
+          altitude_meters: Math.round(altitude),
+          speed_kph: Math.round(velocity * 3.6),
+          vertical_rate: vertical_rate,
+          geom: `POINT(${longitude} ${latitude})`
+        });
+      }
+    });
+  }
+  
+  console.log(`Fetched ${noiseDataPoints.length} active flights.`);
+  return noiseDataPoints;
+}
+
+const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+const clientIp = (req) => req.ip;
+const phoneKey = (req) => (typeof req.body?.phone === 'string' ? req.body.phone.replace(/[^\d+]/g, '') : null);
+const emailKey = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim() : null);
+
+// Sending a code costs an SMS, so request-otp and resend-otp share one budget
+const otpSendLimit = rateLimit(
+  { limiter: createRateLimiter({ name: 'otp-send-ip', windowMs: ONE_HOUR_MS, max: 10 }), key: clientIp },
+  { limiter: createRateLimiter({ name: 'otp-send-phone', windowMs: ONE_HOUR_MS, max: 5 }), key: phoneKey }
+);
+const otpVerifyLimit = rateLimit(
+  { limiter: createRateLimiter({ name: 'otp-verify-ip', windowMs: FIFTEEN_MINUTES_MS, max: 30 }), key: clientIp },
+  { limiter: createRateLimiter({ name: 'otp-verify-phone', windowMs: FIFTEEN_MINUTES_MS, max: 10 }), key: phoneKey }
+);
+// Login has no phone number, so the account's email takes its place
+const loginLimit = rateLimit(
+  { limiter: createRateLimiter({ name: 'login-ip', windowMs: FIFTEEN_MINUTES_MS, max: 20 }), key: clientIp },
+  { limiter: createRateLimiter({ name: 'login-email', windowMs: FIFTEEN_MINUTES_MS, max: 10 }), key: emailKey }
+);
+
+// Password resets are keyed by whichever identifier the client sent
+const accountKey = (req) => phoneKey(req) ?? emailKey(req);
+
+const resetSendLimit = rateLimit(
+  { limiter: createRateLimiter({ name: 'reset-send-ip', windowMs: ONE_HOUR_MS, max: 10 }), key: clientIp },
+  { limiter: createRateLimiter({ name: 'reset-send-account', windowMs: ONE_HOUR_MS, max: 5 }), key: accountKey }
+);
+const resetVerifyLimit = rateLimit(
+  { limiter: createRateLimiter({ name: 'reset-verify-ip', windowMs: FIFTEEN_MINUTES_MS, max: 30 }), key: clientIp },
+  { limiter: createRateLimiter({ name: 'reset-verify-account', windowMs: FIFTEEN_MINUTES_MS, max: 10 }), key: accountKey }
+);
+
+function otpCooldownResponse(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Please wait before requesting another code.',
+    retryAfter
+  });
+}
+
+// Seconds until a new code may be sent for these details, or null when none was sent recently
+async function otpCooldownRemaining(email, phone) {
+  const { rows } = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM last_sent_at + make_interval(secs => $3) - NOW()))::int AS retry_after
+     FROM otp_verifications
+     WHERE (email = $1 OR phone_number = $2) AND last_sent_at > NOW() - make_interval(secs => $3)
+     ORDER BY last_sent_at DESC
+     LIMIT 1`,
+    [email, phone, OTP_RESEND_COOLDOWN_SECONDS]
+  );
+  return rows.length > 0 ? Math.max(1, rows[0].retry_after) : null;
+}
+
+// Stored with each refresh token so users can tell their sessions apart
+function sessionMeta(req) {
+  return {
+    userAgent: req.get('User-Agent')?.slice(0, 500) ?? null,
+    ip: req.ip ?? null
+  };
+}
+
+const registerSchema = z.object({
+  name: z.string().min(2, { message: "Name must be at least 2 characters" }),
+  email: z.string().email({ message: "Invalid email address" }),
+  password: z.string().min(8, { message: "Password must be at least 8 characters" }),
+  phone: z.string().min(10, { message: "Invalid phone number" }),
+  locale: z.enum(LOCALES, { message: `locale must be one of: ${LOCALES.join(', ')}` }).optional()
+});
+
+app.post('/api/auth/request-otp', otpSendLimit, async (req, res) => {
+  try {
+    const { email, name, password, phone, locale } = registerSchema.parse(req.body);
+
+    const userCheck = await pool.query(
+      'SELECT id FROM users WHERE email = $1 OR phone_number = $2',
+      [email, phone]
+    );
+
+    if (userCheck.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email or phone number already exists.',
+      });
+    }
+
+    const retryAfter = await otpCooldownRemaining(email, phone);
+    if (retryAfter) {
+      return otpCooldownResponse(res, retryAfter);
+    }
+
+    const otp = generateOtp();
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await pool.query(
+      'DELETE FROM otp_verifications WHERE email = $1 OR phone_number = $2',
+      [email, phone]
+    );
+    
+    await pool.query(
+      `INSERT INTO otp_verifications (name, email, password_hash, phone_number, otp_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))`,
+      [name, email, passwordHash, phone, hashOtp(otp, phone), OTP_TTL_MINUTES]
+    );
+
+    try {
+      await deliverOtp(phone, otp, preferredLocale(req, locale));
+    } catch (sendError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP. Please check the phone number.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent successfully to your phone.',
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration data.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Request-OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  }
+});
+
+const otpSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }),
+  phone: z.string().min(10, { message: "Invalid phone number" }),
+  otp: z.string().regex(/^\d{6}$/, { message: "OTP must be 6 digits" })
+});
+
+const resendOtpSchema = otpSchema.omit({ otp: true }).extend({
+  locale: registerSchema.shape.locale
+});
+
+app.post('/api/auth/verify-otp', otpVerifyLimit, async (req, res) => {
+  let client;
+  let committed = false;
+
+  try {
+    const { email, phone, otp } = otpSchema.parse(req.body);
+
+    const otpCheck = await pool.query(
+      `SELECT * FROM otp_verifications 
+       WHERE email = $1 AND phone_number = $2 AND expires_at > NOW()`,
+      [email, phone]
+    );
+
+    if (otpCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found or has expired. Please try again.',
+      });
+    }
+
+    const verificationData = otpCheck.rows[0];
+
+    // Counting the attempt before comparing means parallel guesses can't exceed the limit
+    const attempt = await pool.query(
+      `UPDATE otp_verifications SET attempts = attempts + 1
+       WHERE id = $1 AND attempts < $2
+       RETURNING attempts`,
+      [verificationData.id, OTP_MAX_ATTEMPTS]
+    );
+
+    if (attempt.rows.length === 0) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.',
+      });
+    }
+
+    if (!otpMatches(otp, verificationData.phone_number, verificationData.otp_hash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP code.',
+        attemptsRemaining: OTP_MAX_ATTEMPTS - attempt.rows[0].attempts,
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const newUser = await client.query(
+      `INSERT INTO users (name, email, password_hash, phone_number, is_phone_verified)
+       VALUES ($1, $2, $3, $4, true)
+       RETURNING id, name, email, phone_number, role, token_version, created_at`,
+      [
+        verificationData.name,
+        verificationData.email,
+        verificationData.password_hash,
+        verificationData.phone_number,
+      ]
+    );
+    
+    const user = newUser.rows[0];
+
+    await client.query(
+      'DELETE FROM otp_verifications WHERE id = $1',
+      [verificationData.id]
+    );
+
+    await client.query('COMMIT');
+    committed = true;
+
+    const tokens = await auth.issueTokens(user, sessionMeta(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Account verified and created successfully!',
+      token: tokens.accessToken, // kept for older clients
+      ...tokens,
+      user: user,
+    });
+
+  } catch (error) {
+    // Once committed the account exists; failing to issue tokens doesn't undo that
+    if (client && !committed) {
+      await client.query('ROLLBACK');
+    }
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification data.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Verify-OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Sends a fresh code for a pending registration, resetting its attempts and expiry
+app.post('/api/auth/resend-otp', otpSendLimit, async (req, res) => {
+  try {
+    const { email, phone, locale } = resendOtpSchema.parse(req.body);
+    const otp = generateOtp();
+
+    const { rows } = await pool.query(
+      `UPDATE otp_verifications
+       SET otp_hash = $3, attempts = 0, last_sent_at = NOW(), expires_at = NOW() + make_interval(mins => $4)
+       WHERE email = $1 AND phone_number = $2 AND last_sent_at <= NOW() - make_interval(secs => $5)
+       RETURNING id`,
+      [email, phone, hashOtp(otp, phone), OTP_TTL_MINUTES, OTP_RESEND_COOLDOWN_SECONDS]
+    );
+
+    if (rows.length === 0) {
+      const retryAfter = await otpCooldownRemaining(email, phone);
+      if (retryAfter) {
+        return otpCooldownResponse(res, retryAfter);
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found. Please register again.',
+      });
+    }
+
+    try {
+      await deliverOtp(phone, otp, preferredLocale(req, locale));
+    } catch (sendError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP. Please check the phone number.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'A new OTP has been sent to your phone.',
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resend request.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Resend-OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  }
+});
+
+const accountIdentifierSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }).optional(),
+  phone: z.string().min(10, { message: "Invalid phone number" }).optional()
+});
+
+const hasOneIdentifier = [
+  (data) => (data.email === undefined) !== (data.phone === undefined),
+  { message: "Provide either an email address or a phone number" }
+];
+
+const forgotPasswordSchema = accountIdentifierSchema.extend({
+  locale: registerSchema.shape.locale
+}).refine(...hasOneIdentifier);
+
+const resetPasswordSchema = accountIdentifierSchema.extend({
+  otp: otpSchema.shape.otp,
+  newPassword: registerSchema.shape.password
+}).refine(...hasOneIdentifier);
+
+const FORGOT_PASSWORD_RESPONSE = {
+  success: true,
+  message: 'If an account matches, a reset code has been sent.',
+};
+
+// Sends a reset code to whichever of the account's phone or email the client gave, if an
+// account matches and no code went out within the cooldown
+async function startPasswordReset({ email, phone, locale }) {
+  const { rows: users } = await pool.query(
+    `SELECT id, email, phone_number FROM users
+     WHERE (email = $1 OR phone_number = $2) AND disabled_at IS NULL
+     LIMIT 1`,
+    [email ?? null, phone ?? null]
+  );
+  if (users.length === 0) return;
+
+  const user = users[0];
+  const channel = phone ? 'sms' : 'email';
+  const otp = generateOtp();
+
+  // Replaces any earlier code, unless one went out within the cooldown
+  const { rows } = await pool.query(
+    `INSERT INTO password_resets (user_id, channel, otp_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+     ON CONFLICT (user_id) DO UPDATE
+       SET channel = EXCLUDED.channel, otp_hash = EXCLUDED.otp_hash, attempts = 0,
+           last_sent_at = NOW(), expires_at = EXCLUDED.expires_at
+       WHERE password_resets.last_sent_at <= NOW() - make_interval(secs => $5)
+     RETURNING id`,
+    [String(user.id), channel, hashOtp(otp, `reset:${user.id}`), OTP_TTL_MINUTES, OTP_RESEND_COOLDOWN_SECONDS]
+  );
+  if (rows.length === 0) return;
+
+  await notifications.send({
+    channel,
+    to: channel === 'sms' ? user.phone_number : user.email,
+    template: 'password_reset_otp',
+    locale,
+    data: { code: otp, minutes: OTP_TTL_MINUTES }
+  }).catch(() => {}); // already logged by the notification service
+}
+
+// The response goes out before the account is even looked up, so neither its body nor its
+// timing says whether the account exists, a code was sent recently or sending failed.
+app.post('/api/auth/forgot-password', resetSendLimit, async (req, res) => {
+  try {
+    const { email, phone, locale } = forgotPasswordSchema.parse(req.body);
+
+    res.status(200).json(FORGOT_PASSWORD_RESPONSE);
+
+    startPasswordReset({ email, phone, locale: preferredLocale(req, locale) }).catch(error => {
+      console.error('Forgot-password error:', error);
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password reset request.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Forgot-password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  }
+});
+
+// Every failure (no account, no code, wrong code, too many attempts) gets the same answer
+const INVALID_RESET_RESPONSE = {
+  success: false,
+  message: 'Invalid or expired reset code.',
+};
+
+app.post('/api/auth/reset-password', resetVerifyLimit, async (req, res) => {
+  let client;
+  let committed = false;
+
+  try {
+    const { email, phone, otp, newPassword } = resetPasswordSchema.parse(req.body);
+
+    const { rows } = await pool.query(
+      `SELECT u.id, pr.id AS reset_id, pr.otp_hash
+       FROM users u
+       JOIN password_resets pr ON pr.user_id = u.id::text
+       WHERE (u.email = $1 OR u.phone_number = $2) AND u.disabled_at IS NULL AND pr.expires_at > NOW()
+       LIMIT 1`,
+      [email ?? null, phone ?? null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json(INVALID_RESET_RESPONSE);
+    }
+
+    const reset = rows[0];
+
+    const attempt = await pool.query(
+      `UPDATE password_resets SET attempts = attempts + 1
+       WHERE id = $1 AND attempts < $2
+       RETURNING attempts`,
+      [reset.reset_id, OTP_MAX_ATTEMPTS]
+    );
+
+    if (attempt.rows.length === 0 || !otpMatches(otp, `reset:${reset.id}`, reset.otp_hash)) {
+      return res.status(400).json(INVALID_RESET_RESPONSE);
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, reset.id]);
+
+    // Fails if the code was used (or replaced) while the password was being hashed
+    const claimed = await client.query(
+      'DELETE FROM password_resets WHERE id = $1 AND otp_hash = $2',
+      [reset.reset_id, reset.otp_hash]
+    );
+    if (claimed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(INVALID_RESET_RESPONSE);
+    }
+
+    // Whoever knew the old password may still hold a session; ended in the same transaction
+    // so the password can't change without it
+    const revoked = await auth.revokeAllSessions(reset.id, client);
+
+    await client.query('COMMIT');
+    committed = true;
+    console.log(`🔑 Password reset for user ${reset.id} (${revoked} refresh tokens revoked)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been reset. Please log in again.',
+    });
+
+  } catch (error) {
+    if (client && !committed) {
+      await client.query('ROLLBACK');
+    }
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password reset data.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Reset-password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+app.get('/api/db-check', requireAdmin, async (req, res) => {
+  try {
+    const client = await pool.connect();
+    const result = await client.query('SELECT NOW()');
+    client.release();
+    
+    res.json({
+      message: 'Database connection successful!',
+      time: result.rows[0].now,
+    });
+  } catch (error) {
+    console.error('Database connection failed!', error.stack);
+    res.status(500).json({
+      message: 'Database connection failed!',
+    });
+  }
+});
+
+app.get('/api/buildings/demo', async (req, res) => {
+  console.log('Request received for /api/buildings');
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT 
+         id, 
+         name, 
+         emirate, 
+         current_noise,
+         -- Use PostGIS to get lat and lng back from the geog column
+         ST_Y(geog::geometry) AS lat, -- ST_Y gets Latitude
+         ST_X(geog::geometry) AS lng  -- ST_X gets Longitude
+       FROM buildings`
+    );
+
+    res.json(rows);
+
+  } catch (error) {
+    console.error('Error fetching buildings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch buildings from database.'
+    });
+  }
+});
+
+const buildingIdSchema = z.string().trim().min(1).max(64);
+
+const buildingListQuerySchema = z.object({
+  bbox: bboxSchema.optional(),
+  emirate: z.string().trim().min(1).optional(),
+  district: z.string().trim().min(1).optional(),
+  minNoise: z.coerce.number().min(0).max(200).optional(),
+  maxNoise: z.coerce.number().min(0).max(200).optional(),
+  lat: z.coerce.number().min(-90).max(90).optional(),   // nearest-first from this point
+  lng: z.coerce.number().min(-180).max(180).optional(),
+  radius: z.coerce.number().min(1).max(50000).optional(), // meters around lat/lng
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0)
+}).refine((query) => (query.lat === undefined) === (query.lng === undefined), {
+  message: "lat and lng must be given together"
+}).refine((query) => query.radius === undefined || query.lat !== undefined, {
+  message: "radius requires lat and lng"
+}).refine((query) => query.minNoise === undefined || query.maxNoise === undefined || query.minNoise <= query.maxNoise, {
+  message: "minNoise must not be greater than maxNoise"
+});
+
+const BUILDING_COLUMNS = `
+  id,
+  external_id,
+  name,
+  emirate,
+  district,
+  current_noise,
+  noise_updated_at,
+  ST_Y(geog::geometry) AS lat,
+  ST_X(geog::geometry) AS lng
+`;
+
+function mapBuildingRow(row) {
+  return {
+    id: row.id,
+    externalId: row.external_id,
+    name: row.name,
+    emirate: row.emirate,
+    district: row.district,
+    lat: parseFloat(row.lat),
+    lng: parseFloat(row.lng),
+    currentNoise: row.current_noise === null ? null : parseFloat(row.current_noise),
+    noiseUpdatedAt: row.noise_updated_at,
+    ...(row.distance_meters !== undefined && row.distance_meters !== null
+      ? { distanceMeters: Math.round(parseFloat(row.distance_meters)) }
+      : {})
+  };
+}
+
+app.get('/api/buildings', async (req, res) => {
+  console.log('🏢 Request received for /api/buildings');
+
+  try {
+    const { bbox, emirate, district, minNoise, maxNoise, lat, lng, radius, limit, offset } =
+      buildingListQuerySchema.parse(req.query);
+    const near = lat !== undefined;
+
+    const filters = `
+      geog IS NOT NULL
+      AND ($1::float8 IS NULL OR ST_Intersects(geog, ST_MakeEnvelope($1, $2, $3, $4, 4326)::geography))
+      AND ($5::text IS NULL OR lower(emirate) = lower($5))
+      AND ($6::text IS NULL OR lower(district) = lower($6))
+      AND ($7::real IS NULL OR current_noise >= $7)
+      AND ($8::real IS NULL OR current_noise <= $8)
+      AND ($11::float8 IS NULL OR ST_DWithin(geog, ST_SetSRID(ST_MakePoint($10::float8, $9::float8), 4326)::geography, $11))
+    `;
+    const filterParams = [
+      bbox?.minLng ?? null,
+      bbox?.minLat ?? null,
+      bbox?.maxLng ?? null,
+      bbox?.maxLat ?? null,
+      emirate ?? null,
+      district ?? null,
+      minNoise ?? null,
+      maxNoise ?? null,
+      lat ?? null,
+      lng ?? null,
+      radius ?? null
+    ];
+
+    const { rows } = await pool.query(
+      `
+      SELECT
+        ${BUILDING_COLUMNS},
+        ${near ? 'ST_Distance(geog, ST_SetSRID(ST_MakePoint($10, $9), 4326)::geography)' : 'NULL'} AS distance_meters,
+        COUNT(*) OVER () AS total
+      FROM buildings
+      WHERE ${filters}
+      ORDER BY ${near ? 'geog <-> ST_SetSRID(ST_MakePoint($10, $9), 4326)::geography' : 'id'}
+      LIMIT $12 OFFSET $13
+      `,
+      [...filterParams, limit, offset]
+    );
+
+    // The window count comes back with the rows, so a page past the end needs its own count
+    let total = rows.length > 0 ? parseInt(rows[0].total) : 0;
+    if (rows.length === 0 && offset > 0) {
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM buildings WHERE ${filters}`,
+        filterParams
+      );
+      total = countRows[0].total;
+    }
+
+    res.json({
+      success: true,
+      data: rows.map(mapBuildingRow),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + rows.length < total
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid buildings query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching buildings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch buildings.'
+    });
+  }
+});
+
+app.get('/api/buildings/:id', async (req, res) => {
+  try {
+    const id = buildingIdSchema.parse(req.params.id);
+
+    const { rows } = await pool.query(
+      `SELECT ${BUILDING_COLUMNS}, ST_AsGeoJSON(footprint)::json AS footprint
+       FROM buildings
+       WHERE id::text = $1`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...mapBuildingRow(rows[0]), footprint: rows[0].footprint }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid building id.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching building:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch building.'
+    });
+  }
+});
+
+const IMPORT_BATCH_SIZE = 500;
+
+const UPSERT_BUILDINGS_SQL = `
+  INSERT INTO buildings (external_id, name, emirate, geog, footprint)
+  SELECT
+    u.external_id,
+    u.name,
+    u.emirate,
+    COALESCE(ST_SetSRID(ST_MakePoint(u.lng, u.lat), 4326), ST_PointOnSurface(fp.geom))::geography,
+    fp.geom
+  FROM unnest($1::text[], $2::text[], $3::text[], $4::float8[], $5::float8[], $6::text[])
+    AS u(external_id, name, emirate, lat, lng, footprint)
+  LEFT JOIN LATERAL (
+    SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(u.footprint), 4326)), 3)) AS geom
+  ) fp ON true
+  ON CONFLICT (external_id) DO UPDATE SET
+    name = EXCLUDED.name,
+    emirate = COALESCE(EXCLUDED.emirate, buildings.emirate),
+    geog = EXCLUDED.geog,
+    footprint = EXCLUDED.footprint
+  RETURNING (xmax = 0) AS inserted
+`;
+
+function upsertBuildings(client, rows) {
+  return client.query(UPSERT_BUILDINGS_SQL, [
+    rows.map(row => row.externalId),
+    rows.map(row => row.name),
+    rows.map(row => row.emirate),
+    rows.map(row => row.lat),
+    rows.map(row => row.lng),
+    rows.map(row => (row.footprint ? JSON.stringify(row.footprint) : null))
+  ]);
+}
+
+// Body is a GeoJSON FeatureCollection (application/json or application/geo+json) or CSV
+// (text/csv). Valid rows are upserted by external id; invalid ones come back in rowErrors.
+// ?dryRun=true validates without writing anything.
+app.post(BUILDING_IMPORT_PATH, requireAdmin, parseImportBody, async (req, res) => {
+  const format = req.is('text/csv') || req.is('text/plain') ? 'csv' : 'geojson';
+  const dryRun = req.query.dryRun === 'true';
+  console.log(`🏢 Building import requested (${format}${dryRun ? ', dry run' : ''})`);
+
+  let parsed;
+  try {
+    parsed = parseBuildingImport(req.body, format, { bounds: UAE_BOUNDS });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const { rows, errors: rowErrors } = parsed;
+  const received = rows.length + rowErrors.length;
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid buildings to import.',
+      rowErrors
+    });
+  }
+
+  if (dryRun) {
+    return res.json({
+      success: true,
+      dryRun: true,
+      received,
+      valid: rows.length,
+      failed: rowErrors.length,
+      rowErrors
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    let inserted = 0;
+    let updated = 0;
+    const imported = [];
+
+    const count = (result) => {
+      for (const row of result.rows) {
+        if (row.inserted) inserted++;
+        else updated++;
+      }
+    };
+
+    for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + IMPORT_BATCH_SIZE);
+      await client.query('SAVEPOINT import_batch');
+      try {
+        count(await upsertBuildings(client, batch));
+        await client.query('RELEASE SAVEPOINT import_batch');
+        imported.push(...batch.map(row => row.externalId));
+      } catch {
+        // Something in this batch upset PostGIS; redo it row by row to find out what
+        await client.query('ROLLBACK TO SAVEPOINT import_batch');
+        for (const row of batch) {
+          await client.query('SAVEPOINT import_row');
+          try {
+            count(await upsertBuildings(client, [row]));
+            await client.query('RELEASE SAVEPOINT import_row');
+            imported.push(row.externalId);
+          } catch (rowError) {
+            await client.query('ROLLBACK TO SAVEPOINT import_row');
+            rowErrors.push({ row: row.row, id: row.externalId, errors: [rowError.message] });
+          }
+        }
+      }
+    }
+
+    if (boundaryCount > 0 && imported.length > 0) {
+      await labelBuildings(client, imported);
+    }
+
+    await client.query('COMMIT');
+    rowErrors.sort((a, b) => a.row - b.row);
+
+    console.log(`✅ Imported buildings: ${inserted} new, ${updated} updated, ${rowErrors.length} rejected`);
+
+    res.json({
+      success: true,
+      dryRun: false,
+      received,
+      inserted,
+      updated,
+      failed: rowErrors.length,
+      rowErrors
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error importing buildings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import buildings.'
+    });
+  } finally {
+    client.release();
   }
 });
 
-const otpSchema = z.object({
-  email: z.string().email({ message: "Invalid email address" }),
-  phone: z.string().min(10, { message: "Invalid phone number" }),
-  otp: z.string().length(6, { message: "OTP must be 6 digits" })
+// Common reporting thresholds for environmental noise (dB(A))
+const DEFAULT_EXPOSURE_THRESHOLDS = [55, 65, 70];
+
+const exposureQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  thresholds: z.string()
+    .regex(/^\d+(\.\d+)?(,\d+(\.\d+)?)*$/, { message: "thresholds must be a comma-separated list of dB values" })
+    .transform((value) => [...new Set(value.split(',').map(Number))].sort((a, b) => a - b))
+    .refine((values) => values.length <= 5 && values.every(value => value >= 30 && value <= 120), {
+      message: "thresholds must be at most 5 values between 30 and 120 dB"
+    })
+    .optional()
+}).transform((query) => {
+  const to = query.to ?? new Date();
+  const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  return { ...query, from, to, thresholds: query.thresholds ?? DEFAULT_EXPOSURE_THRESHOLDS };
+}).refine((query) => query.from < query.to, {
+  message: "'from' must be before 'to'"
+}).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+  message: "Time range cannot exceed 7 days"
 });
 
-app.post('/api/auth/verify-otp', async (req, res) => {
-  let client;
-  
+const roundLevel = (value) => value === null ? null : Math.round(parseFloat(value) * 10) / 10;
+
+app.get('/api/buildings/:id/exposure', async (req, res) => {
+  console.log('🏢 Request received for /api/buildings/:id/exposure');
+
   try {
-    const { email, phone, otp } = otpSchema.parse(req.body);
+    const id = buildingIdSchema.parse(req.params.id);
+    const { from, to, thresholds } = exposureQuerySchema.parse(req.query);
 
-    const otpCheck = await pool.query(
-      `SELECT * FROM otp_verifications 
-       WHERE email = $1 AND phone_number = $2 AND expires_at > NOW()`,
-      [email, phone]
+    const { rows: buildingRows } = await pool.query(
+      `SELECT id, name, emirate, district, current_noise, noise_updated_at
+       FROM buildings
+       WHERE id::text = $1`,
+      [id]
     );
-
-    if (otpCheck.rows.length === 0) {
+    if (buildingRows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Verification request not found or has expired. Please try again.',
+        message: 'Building not found.'
       });
     }
 
-    const verificationData = otpCheck.rows[0];
+    // Energy-average each hour, weighting runs by how much time they cover
+    const { rows: hourRows } = await pool.query(
+      `
+      SELECT
+        date_trunc('hour', window_start) AS hour,
+        10 * LOG(SUM(POWER(10, level / 10.0) * duration_seconds) / SUM(duration_seconds)) AS leq,
+        10 * LOG(SUM(POWER(10, flight_level / 10.0) * duration_seconds) / SUM(duration_seconds)) AS flight_leq,
+        10 * LOG(SUM(POWER(10, road_level / 10.0) * duration_seconds) / SUM(duration_seconds)) AS road_leq,
+        MAX(level) AS max_level,
+        SUM(duration_seconds) AS covered_seconds
+      FROM building_noise_exposure
+      WHERE building_id = $1 AND window_start >= $2 AND window_start < $3
+      GROUP BY hour
+      ORDER BY hour
+      `,
+      [id, from, to]
+    );
+
+    const { rows: exceedanceRows } = await pool.query(
+      `
+      SELECT
+        date_trunc('hour', e.window_start) AS hour,
+        t.threshold,
+        SUM(e.duration_seconds) AS seconds
+      FROM building_noise_exposure e
+      CROSS JOIN unnest($4::float8[]) AS t(threshold)
+      WHERE e.building_id = $1 AND e.window_start >= $2 AND e.window_start < $3 AND e.level >= t.threshold
+      GROUP BY hour, t.threshold
+      `,
+      [id, from, to, thresholds]
+    );
+
+    const exceedance = new Map();
+    for (const row of exceedanceRows) {
+      exceedance.set(`${new Date(row.hour).getTime()}:${parseFloat(row.threshold)}`, parseInt(row.seconds));
+    }
+
+    const totals = new Map(thresholds.map(threshold => [threshold, 0]));
+    let energy = 0;
+    let coveredSeconds = 0;
+
+    const hourly = hourRows.map(row => {
+      const hour = new Date(row.hour);
+      const covered = parseInt(row.covered_seconds);
+      energy += 10 ** (parseFloat(row.leq) / 10) * covered;
+      coveredSeconds += covered;
+
+      return {
+        hour: hour.toISOString(),
+        leq: roundLevel(row.leq),
+        flightLeq: roundLevel(row.flight_leq),
+        roadLeq: roundLevel(row.road_leq),
+        maxLevel: roundLevel(row.max_level),
+        coveredMinutes: Math.round(covered / 60),
+        exceedance: thresholds.map(threshold => {
+          const seconds = exceedance.get(`${hour.getTime()}:${threshold}`) ?? 0;
+          totals.set(threshold, totals.get(threshold) + seconds);
+          return { threshold, minutes: Math.round(seconds / 60) };
+        })
+      };
+    });
+
+    const building = buildingRows[0];
 
-    if (verificationData.otp_code !== otp) {
+    res.json({
+      success: true,
+      building: {
+        id: building.id,
+        name: building.name,
+        emirate: building.emirate,
+        district: building.district,
+        currentNoise: roundLevel(building.current_noise),
+        updatedAt: building.noise_updated_at
+      },
+      from: from.toISOString(),
+      to: to.toISOString(),
+      summary: {
+        leq: coveredSeconds > 0 ? roundLevel(10 * Math.log10(energy / coveredSeconds)) : null,
+        coveredMinutes: Math.round(coveredSeconds / 60),
+        exceedance: thresholds.map(threshold => ({ threshold, minutes: Math.round(totals.get(threshold) / 60) }))
+      },
+      hourly
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP code.',
+        message: 'Invalid exposure query.',
+        errors: error.issues.map(e => e.message),
       });
     }
 
-    client = await pool.connect();
-    await client.query('BEGIN');
+    console.error('❌ Error fetching building exposure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch building exposure.'
+    });
+  }
+});
 
-    const newUser = await client.query(
-      `INSERT INTO users (name, email, password_hash, phone_number, is_phone_verified)
-       VALUES ($1, $2, $3, $4, true)
-       RETURNING id, name, email, phone_number, created_at`,
-      [
-        verificationData.name,
-        verificationData.email,
-        verificationData.password_hash,
-        verificationData.phone_number,
-      ]
-    );
-    
-    const user = newUser.rows[0];
+const loginSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }),
+  password: z.string().min(1, { message: "Password cannot be empty" }),
+});
 
-    await client.query(
-      'DELETE FROM otp_verifications WHERE id = $1',
-      [verificationData.id]
+app.post('/api/auth/login', loginLimit, async (req, res) => {
+  try {
+    const { email, password } = loginSchema.parse(req.body);
+
+    const userCheck = await pool.query(
+      'SELECT * FROM users WHERE email = $1',
+      [email]
     );
 
-    await client.query('COMMIT');
+    if (userCheck.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password.',
+      });
+    }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const user = userCheck.rows[0];
 
-    res.status(201).json({
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password.',
+      });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled.',
+      });
+    }
+
+    const tokens = await auth.issueTokens(user, sessionMeta(req));
+
+    delete user.password_hash;
+    
+    res.status(200).json({
       success: true,
-      message: 'Account verified and created successfully!',
-      token: token,
+      message: 'Login successful!',
+      token: tokens.accessToken, // kept for older clients
+      ...tokens,
       user: user,
     });
 
   } catch (error) {
-    if (client) {
-      await client.query('ROLLBACK');
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid login data.',
+        errors: error.issues.map(e => e.message),
+      });
     }
 
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  }
+});
+
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1, { message: "Refresh token is required" })
+});
+
+const logoutSchema = refreshSchema.extend({
+  allDevices: z.boolean().optional()
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = refreshSchema.parse(req.body);
+    const tokens = await auth.rotateRefreshToken(refreshToken, sessionMeta(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed.',
+      token: tokens.accessToken, // kept for older clients
+      ...tokens,
+    });
+
+  } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification data.',
-        errors: error.errors.map(e => e.message),
+        message: 'Invalid refresh request.',
+        errors: error.issues.map(e => e.message),
       });
     }
 
-    console.error('Verify-OTP error:', error);
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh error:', error);
     res.status(500).json({
       success: false,
       message: 'An internal server error occurred.',
     });
-  } finally {
-    if (client) {
-      client.release();
+  }
+});
+
+// Ends this session, or every session of the user with allDevices. allDevices also bumps the
+// user's token version, so their access tokens stop working at once; a single-session logout
+// leaves the current access token valid until it expires.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = logoutSchema.parse(req.body);
+    const userId = await auth.revokeRefreshToken(refreshToken);
+
+    if (allDevices) {
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token.',
+        });
+      }
+      const revoked = await auth.revokeAllSessions(userId);
+      console.log(`🔒 Logged user ${userId} out of all devices (${revoked} more tokens revoked)`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: allDevices ? 'Logged out of all devices.' : 'Logged out.',
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid logout request.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An internal server error occurred.',
+    });
+  }
+});
+
+// --- Admin API (admin role required for everything below /api/admin) ---
+
+app.use('/api/admin', requireAdmin);
+
+const USER_COLUMNS = 'id, name, email, phone_number, is_phone_verified, role, disabled_at, created_at';
+
+function mapUserRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    phoneNumber: row.phone_number,
+    isPhoneVerified: row.is_phone_verified,
+    role: row.role,
+    disabled: row.disabled_at !== null,
+    disabledAt: row.disabled_at,
+    createdAt: row.created_at
+  };
+}
+
+const userIdSchema = z.string().trim().min(1).max(64);
+
+const userListQuerySchema = z.object({
+  search: z.string().trim().min(1).max(100).optional(), // name, email or phone
+  role: z.enum(ROLES, { message: `role must be one of: ${ROLES.join(', ')}` }).optional(),
+  disabled: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+const userUpdateSchema = z.object({
+  role: z.enum(ROLES, { message: `role must be one of: ${ROLES.join(', ')}` }).optional(),
+  disabled: z.boolean().optional()
+}).refine(
+  (data) => Object.keys(data).length > 0,
+  { message: "At least one field must be provided" }
+);
+
+app.get('/api/admin/users', async (req, res) => {
+  try {
+    const { search, role, disabled, limit, offset } = userListQuerySchema.parse(req.query);
+
+    const filters = `
+      ($1::text IS NULL OR name ILIKE '%' || $1 || '%' OR email ILIKE '%' || $1 || '%' OR phone_number ILIKE '%' || $1 || '%')
+      AND ($2::text IS NULL OR role = $2)
+      AND ($3::boolean IS NULL OR (disabled_at IS NOT NULL) = $3)
+    `;
+    const filterParams = [search ?? null, role ?? null, disabled ?? null];
+
+    const { rows } = await pool.query(
+      `
+      SELECT ${USER_COLUMNS}, COUNT(*) OVER () AS total
+      FROM users
+      WHERE ${filters}
+      ORDER BY created_at DESC, id
+      LIMIT $4 OFFSET $5
+      `,
+      [...filterParams, limit, offset]
+    );
+
+    let total = rows.length > 0 ? parseInt(rows[0].total) : 0;
+    if (rows.length === 0 && offset > 0) {
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM users WHERE ${filters}`,
+        filterParams
+      );
+      total = countRows[0].total;
+    }
+
+    res.json({
+      success: true,
+      data: rows.map(mapUserRow),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + rows.length < total
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid users query.',
+        errors: error.issues.map(e => e.message),
+      });
+    }
+
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users.'
+    });
+  }
+});
+
+// Change a user's role or disable/re-enable them. Both apply to the user's next request;
+// disabling also revokes their refresh tokens.
+app.patch('/api/admin/users/:id', async (req, res) => {
+  try {
+    const id = userIdSchema.parse(req.params.id);
+    const { role, disabled } = userUpdateSchema.parse(req.body);
+
+    // Otherwise the last admin could lock everyone out
+    if (id === String(req.user.userId) && (disabled === true || (role && role !== 'admin'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable or demote your own account.'
+      });
+    }
+
+    const { rows } = await pool.query(
+      `
+      UPDATE users
+      SET
+        role = COALESCE($2, role),
+        disabled_at = CASE
+          WHEN $3::boolean IS NULL THEN disabled_at
+          WHEN $3 THEN COALESCE(disabled_at, NOW())
+          ELSE NULL
+        END
+      WHERE id::text = $1
+      RETURNING ${USER_COLUMNS}
+      `,
+      [id, role ?? null, disabled ?? null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (disabled) {
+      const revoked = await auth.revokeAllSessions(id);
+      console.log(`🚫 Disabled user ${id} (${revoked} refresh tokens revoked)`);
+    }
+    console.log(`👤 User ${id} updated by admin ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      data: mapUserRow(rows[0])
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user update.',
+        errors: error.issues.map(e => e.message),
+      });
     }
+
+    console.error('❌ Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user.'
+    });
+  }
+});
+
+app.post('/api/admin/cleanup', async (req, res) => {
+  console.log(`🧹 Cleanup triggered by admin ${req.user.userId}`);
+
+  const removed = await cleanupOldData();
+  if (!removed) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to clean up old data.'
+    });
   }
+
+  res.json({
+    success: true,
+    message: 'Old data removed.',
+    removed
+  });
 });
 
-app.get('/api/db-check', async (req, res) => {
+app.post('/api/admin/refresh/flights', async (req, res) => {
+  console.log(`🔄 Flight refresh triggered by admin ${req.user.userId}`);
+
   try {
-    const client = await pool.connect();
-    const result = await client.query('SELECT NOW()');
-    client.release();
-    
-    res.json({
-      message: 'Database connection successful!',
-      time: result.rows[0].now,
+    await refreshFlightData();
+    const status = openSky.getStatus();
+
+    res.status(status.state === 'ok' ? 200 : 502).json({
+      success: status.state === 'ok',
+      message: status.state === 'ok' ? 'Flight data refreshed.' : 'Flight data could not be refreshed.',
+      flightsCount: lastKnownFlightData.length,
+      ingestion: status
     });
   } catch (error) {
-    console.error('Database connection failed!', error.stack);
+    console.error('❌ Error refreshing flight data:', error);
     res.status(500).json({
-      message: 'Database connection failed!',
-      error: error.message,
+      success: false,
+      message: 'Failed to refresh flight data.'
     });
   }
 });
 
-app.get('/api/buildings/demo', async (req, res) => {
-  console.log('Request received for /api/buildings');
+app.post('/api/admin/refresh/traffic', async (req, res) => {
+  console.log(`🔄 Traffic refresh triggered by admin ${req.user.userId}`);
 
   try {
-    const { rows } = await pool.query(
-      `SELECT 
-         id, 
-         name, 
-         emirate, 
-         current_noise,
-         -- Use PostGIS to get lat and lng back from the geog column
-         ST_Y(geog::geometry) AS lat, -- ST_Y gets Latitude
-         ST_X(geog::geometry) AS lng  -- ST_X gets Longitude
-       FROM buildings`
-    );
-
-    res.json(rows);
+    const { points, failures } = await refreshTrafficCache();
 
+    res.json({
+      success: true,
+      message: 'Traffic cache refreshed.',
+      pointsCount: points.length,
+      failures
+    });
   } catch (error) {
-    console.error('Error fetching buildings:', error);
+    console.error('❌ Error refreshing traffic cache:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch buildings from database.'
+      message: 'Failed to refresh traffic cache.'
     });
   }
 });
 
-const loginSchema = z.object({
-  email: z.string().email({ message: "Invalid email address" }),
-  password: z.string().min(1, { message: "Password cannot be empty" }),
+const notificationLogQuerySchema = z.object({
+  channel: z.enum(NOTIFICATION_CHANNELS, { message: `channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` }).optional(),
+  status: z.string().trim().min(1).max(32).optional(),
+  recipient: z.string().trim().min(1).max(200).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0)
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Delivery history, newest first
+app.get('/api/admin/notifications', async (req, res) => {
   try {
-    const { email, password } = loginSchema.parse(req.body);
-
-    const userCheck = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
-      [email]
-    );
-
-    if (userCheck.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.',
-      });
-    }
+    const { channel, status, recipient, limit, offset } = notificationLogQuerySchema.parse(req.query);
 
-    const user = userCheck.rows[0];
+    const filters = `
+      ($1::text IS NULL OR channel = $1)
+      AND ($2::text IS NULL OR status = $2)
+      AND ($3::text IS NULL OR recipient = $3)
+    `;
+    const filterParams = [channel ?? null, status ?? null, recipient ?? null];
 
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    const { rows } = await pool.query(
+      `
+      SELECT *, COUNT(*) OVER () AS total
+      FROM notification_log
+      WHERE ${filters}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $4 OFFSET $5
+      `,
+      [...filterParams, limit, offset]
+    );
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.',
-      });
+    let total = rows.length > 0 ? parseInt(rows[0].total) : 0;
+    if (rows.length === 0 && offset > 0) {
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM notification_log WHERE ${filters}`,
+        filterParams
+      );
+      total = countRows[0].total;
     }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    delete user.password_hash;
-    
-    res.status(200).json({
+    res.json({
       success: true,
-      message: 'Login successful!',
-      token: token,
-      user: user,
+      data: rows.map(row => ({
+        id: row.id,
+        channel: row.channel,
+        transport: row.transport,
+        template: row.template,
+        locale: row.locale,
+        recipient: row.recipient,
+        status: row.status,
+        providerId: row.provider_id,
+        error: row.error,
+        createdAt: row.created_at
+      })),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + rows.length < total
+      }
     });
-
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid login data.',
-        errors: error.errors.map(e => e.message),
+        message: 'Invalid notifications query.',
+        errors: error.issues.map(e => e.message),
       });
     }
 
-    console.error('Login error:', error);
+    console.error('❌ Error fetching notification log:', error);
     res.status(500).json({
       success: false,
-      message: 'An internal server error occurred.',
+      message: 'Failed to fetch notification log.'
     });
   }
 });
 
-app.get('/api/traffic/roads', async (req, res) => {
-  console.log('📍 Request received for /api/traffic/roads');
-
-  try {
-    // Check cache
-    const now = Date.now();
-    if (trafficDataCache && trafficCacheTimestamp && (now - trafficCacheTimestamp < TRAFFIC_CACHE_DURATION)) {
-      console.log('✅ Returning cached traffic data');
-      return res.json({
-        success: true,
-        data: trafficDataCache,
-        cached: true,
-        cacheAge: Math.floor((now - trafficCacheTimestamp) / 1000) // seconds
-      });
+// Everything that runs in the background, in one place
+app.get('/api/admin/status', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      flights: {
+        ingestion: openSky.getStatus(),
+        refreshing: flightRefreshPromise !== null,
+        activeFlights: lastKnownFlightData.length,
+        feedId: flightDeltas.feedId,
+        seq: flightDeltas.seq
+      },
+      traffic: {
+        cachedAt: trafficCacheTimestamp ? new Date(trafficCacheTimestamp).toISOString() : null,
+        stale: !trafficCacheTimestamp || Date.now() - trafficCacheTimestamp >= TRAFFIC_CACHE_DURATION,
+        refreshing: trafficRefreshPromise !== null,
+        pointsCount: trafficDataCache?.length ?? 0,
+        failures: trafficCacheFailures
+      },
+      buildingExposure: {
+        lastWindowEnd: lastExposureWindowEnd?.toISOString() ?? null,
+        running: exposureUpdateRunning,
+        intervalMs: EXPOSURE_INTERVAL_MS
+      },
+      boundaries: boundaryCount,
+      notifications: notifications.transports,
+      websocketClients: wss.clients.size,
+      uptimeSeconds: Math.floor(process.uptime())
     }
+  });
+});
 
-    // Fetch fresh data
-    console.log('🔄 Fetching fresh traffic data from Google...');
-    const trafficData = await fetchGoogleTrafficData();
-
-    // Update cache
-    trafficDataCache = trafficData;
-    trafficCacheTimestamp = now;
+const wss = new WebSocketServer({ noServer: true });
 
-    res.json({
-      success: true,
-      data: trafficData,
-      cached: false,
-      timestamp: new Date().toISOString()
-    });
+// A token is optional, but a bad or expired one is refused outright so the client knows to sign in again
+server.on('upgrade', async (req, socket, head) => {
+  const token = connectionToken(req);
+  let user = null;
 
-  } catch (error) {
-    console.error('❌ Error fetching traffic data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch traffic data',
-      error: error.message
-    });
+  if (token) {
+    try {
+      user = await auth.authenticate(token);
+    } catch (error) {
+      const authFailed = error instanceof AuthError;
+      console.log(`🔒 Rejected WebSocket connection: ${error.message}`);
+      socket.write(authFailed
+        ? 'HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n'
+        : 'HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
   }
-});
 
-const wss = new WebSocketServer({ server });
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req, user);
+  });
+});
 
 let lastKnownFlightData = [];
+const flightDeltas = createFlightDeltaLog();
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
 
 wss.broadcast = function broadcast(data) {
   wss.clients.forEach(function each(client) {
@@ -785,14 +3643,164 @@ wss.broadcast = function broadcast(data) {
   });
 };
 
+// Each socket starts with a match-everything subscription so older clients keep getting the
+// full feed; `null` means the client sent UNSUBSCRIBE
+function flightDataFor(ws, data) {
+  const subscription = ws.subscription;
+  if (!subscription || !wantsChannel(subscription, 'flight')) return null;
+  return data.filter(point => matchesSubscription(point, subscription));
+}
+
+// Full snapshot; `seq` tells delta clients where the following deltas pick up
+function sendFlightData(ws, data) {
+  const filtered = flightDataFor(ws, data);
+  if (!filtered || ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({
+    type: 'NOISE_DATA_UPDATE',
+    feedId: flightDeltas.feedId,
+    seq: flightDeltas.seq,
+    data: filtered,
+  }));
+}
+
+function sendFlightDeltas(ws, entries) {
+  const subscription = ws.subscription;
+  if (!subscription || !wantsChannel(subscription, 'flight') || ws.readyState !== ws.OPEN) return;
+
+  for (const entry of entries) {
+    const message = deltaMessageFor(entry, subscription);
+    if (message) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+  // Sent even when nothing visible changed, so filtered clients keep an up-to-date resume point
+  ws.send(JSON.stringify({
+    type: 'FLIGHT_BATCH_END',
+    seq: flightDeltas.seq,
+  }));
+}
+
+function sendTrafficData(ws) {
+  const subscription = ws.subscription;
+  if (!trafficDataCache || !subscription || !wantsChannel(subscription, 'road') || ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({
+    type: 'TRAFFIC_UPDATE',
+    data: trafficDataCache.filter(point => matchesSubscription(point, subscription)),
+    failures: trafficCacheFailures,
+    timestamp: new Date(trafficCacheTimestamp).toISOString(),
+  }));
+}
+
+// Pushed whenever the traffic cache is refreshed, whoever triggered the refresh
+function broadcastTrafficUpdate() {
+  wss.clients.forEach(client => sendTrafficData(client));
+}
+
+// Replay what a reconnecting client missed, falling back to a snapshot when we can't
+function resumeFlightFeed(ws, feedId, lastSeq) {
+  const missed = flightDeltas.since(feedId, lastSeq);
+  if (missed === null) {
+    sendFlightData(ws, lastKnownFlightData);
+    return;
+  }
+  sendFlightDeltas(ws, missed);
+}
+
+function handleClientMessage(ws, raw) {
+  const { message, error } = parseClientMessage(raw);
+  if (error) {
+    ws.send(error);
+    return;
+  }
+
+  if (message.type === 'SUBSCRIBE') {
+    const allowed = allowedChannels(ws.user);
+    const forbidden = (message.sources ?? []).filter(source => !allowed.includes(source));
+    if (forbidden.length > 0) {
+      ws.send(errorMessage('FORBIDDEN_CHANNEL', `Sign in to subscribe to: ${forbidden.join(', ')}`));
+      return;
+    }
+
+    ws.subscription = createSubscription({ ...message, sources: message.sources ?? allowed });
+    ws.deltas = Boolean(message.deltas || message.lastSeq !== undefined);
+    ws.send(JSON.stringify({
+      type: 'SUBSCRIBED',
+      subscription: describeSubscription(ws.subscription),
+      deltas: ws.deltas,
+      feedId: flightDeltas.feedId,
+      seq: flightDeltas.seq,
+    }));
+    // Bring the client up to date with its new view straight away
+    if (message.lastSeq !== undefined) {
+      resumeFlightFeed(ws, message.feedId, message.lastSeq);
+    } else {
+      sendFlightData(ws, lastKnownFlightData);
+    }
+    sendTrafficData(ws);
+    return;
+  }
+
+  if (message.type === 'UNSUBSCRIBE') {
+    ws.subscription = null;
+    ws.send(JSON.stringify({ type: 'UNSUBSCRIBED' }));
+  }
+}
+
+let lastBroadcastIngestionState = null;
+
+// Comma-separated addresses told by email whenever ingestion starts failing or recovers
+const ALERT_EMAILS = (process.env.ALERT_EMAILS ?? '').split(',').map(email => email.trim()).filter(Boolean);
+const ALERT_LOCALE = LOCALES.includes(process.env.ALERT_LOCALE) ? process.env.ALERT_LOCALE : DEFAULT_LOCALE;
+
+function sendIngestionAlert(status) {
+  for (const to of ALERT_EMAILS) {
+    notifications.send({
+      channel: 'email',
+      to,
+      template: 'ingestion_alert',
+      locale: ALERT_LOCALE,
+      data: status
+    }).catch(() => {}); // already logged by the notification service
+  }
+}
+
+// Tell clients when ingestion starts failing or recovers, so an empty map isn't mistaken for an empty sky
+function broadcastIngestionStatus() {
+  const status = openSky.getStatus();
+  if (status.state === lastBroadcastIngestionState) return;
+
+  // A healthy first poll isn't news
+  const previousState = lastBroadcastIngestionState;
+  lastBroadcastIngestionState = status.state;
+  if (previousState !== null || status.state !== 'ok') {
+    sendIngestionAlert(status);
+  }
+
+  wss.broadcast(JSON.stringify({
+    type: 'INGESTION_STATUS',
+    data: status,
+  }));
+}
+
 async function updateAndBroadcastNoiseData() {
-  const flightDataPoints = await fetchRealFlightData();
+  let flightDataPoints;
+  try {
+    flightDataPoints = await fetchRealFlightData();
+  } catch (error) {
+    console.error('Failed to fetch real flight data:', error.message);
+    broadcastIngestionStatus();
+    return;
+  }
+  broadcastIngestionStatus();
   
   const allNoiseData = flightDataPoints;
-  
-  if (allNoiseData.length === 0) {
-    console.log('No new data, skipping broadcast.');
-    return;
+
+  const regions = await lookupRegions(allNoiseData);
+  if (regions) {
+    allNoiseData.forEach((point, i) => {
+      point.emirate = regions[i].emirate;
+      point.district = regions[i].district;
+    });
   }
   
   const frontendPayload = allNoiseData.map(p => ({
@@ -800,43 +3808,78 @@ async function updateAndBroadcastNoiseData() {
     lat: p.lat,
     lng: p.lng,
     noiseLevel: p.noiseLevel,
+    sourceLevel: p.sourceLevel,
+    thrustPhase: p.thrustPhase,
+    altitude: p.altitude_meters || null, // 0 means OpenSky sent no altitude
+    footprint: p.footprint,
+    flightPhase: p.flightPhase,
+    airport: p.airport,
+    runway: p.runway,
     source: p.source,
     emirate: p.emirate,
+    district: p.district ?? null,
     timestamp: p.timestamp,
   }));
 
   lastKnownFlightData = frontendPayload;
-  
-  const payload = JSON.stringify({
-    type: 'NOISE_DATA_UPDATE',
-    data: frontendPayload,
+  const deltas = flightDeltas.update(frontendPayload);
+
+  wss.clients.forEach(client => {
+    if (client.deltas) {
+      sendFlightDeltas(client, deltas);
+    } else {
+      sendFlightData(client, frontendPayload);
+    }
   });
 
-  wss.broadcast(payload);
+  if (allNoiseData.length === 0) {
+    console.log('No flights in the area, nothing to save.');
+    return;
+  }
 
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    const values = allNoiseData.map(p => {
-      return `(
-        'flight', 
-        '${p.id.replace(/'/g, "''")}', 
-        ST_SetSRID(ST_MakePoint(${p.lng}, ${p.lat}), 4326), 
-        ${p.altitude_meters || 'NULL'}, 
-        ${p.speed_kph || 'NULL'}, 
-        '${p.timestamp.toISOString()}'
-      )`;
-    }).join(',');
-
-    const query = `
-      INSERT INTO noise_sources 
-        (source_type, source_id, geom, altitude_meters, speed_kph, created_at)
-      VALUES ${values};
-    `;
+    // Left NULL without boundaries so the rows get labelled once boundaries are loaded
+    const regionOf = (value) => (regions && value ? value : null);
 
-    await client.query(query);
+    await client.query(
+      `
+      INSERT INTO noise_sources
+        (source_type, source_id, geom, altitude_meters, speed_kph, vertical_rate, flight_phase, airport, emirate, district, created_at)
+      SELECT
+        'flight',
+        u.source_id,
+        ST_SetSRID(ST_MakePoint(u.lng, u.lat), 4326),
+        u.altitude_meters,
+        u.speed_kph,
+        u.vertical_rate,
+        u.flight_phase,
+        u.airport,
+        u.emirate,
+        u.district,
+        u.created_at
+      FROM unnest(
+        $1::text[], $2::float8[], $3::float8[], $4::float8[], $5::float8[], $6::float8[],
+        $7::text[], $8::text[], $9::text[], $10::text[], $11::timestamptz[]
+      ) AS u(source_id, lng, lat, altitude_meters, speed_kph, vertical_rate, flight_phase, airport, emirate, district, created_at)
+      `,
+      [
+        allNoiseData.map(p => p.id),
+        allNoiseData.map(p => p.lng),
+        allNoiseData.map(p => p.lat),
+        allNoiseData.map(p => p.altitude_meters || null),
+        allNoiseData.map(p => p.speed_kph || null),
+        allNoiseData.map(p => (Number.isFinite(p.vertical_rate) ? p.vertical_rate : null)),
+        allNoiseData.map(p => p.flightPhase),
+        allNoiseData.map(p => p.airport ?? null),
+        allNoiseData.map(p => regionOf(p.emirate)),
+        allNoiseData.map(p => regionOf(p.district)),
+        allNoiseData.map(p => p.timestamp)
+      ]
+    );
     await client.query('COMMIT');
     
     console.log(`Successfully saved ${allNoiseData.length} data points to DB.`);
@@ -849,44 +3892,270 @@ async function updateAndBroadcastNoiseData() {
   }
 }
 
+// Returns what was removed per table, or null if the cleanup failed
 async function cleanupOldData() {
   console.log('Running daily cleanup: Deleting data older than 7 days...');
   try {
     const result = await pool.query(
       `DELETE FROM noise_sources WHERE created_at < NOW() - INTERVAL '7 days'`
     );
-    if (result.rowCount > 0) {
-      console.log(`Cleanup complete. Removed ${result.rowCount} old records.`);
+    const trafficResult = await pool.query(
+      `DELETE FROM traffic_snapshots WHERE created_at < NOW() - INTERVAL '7 days'`
+    );
+    const exposureResult = await pool.query(
+      `DELETE FROM building_noise_exposure WHERE window_start < NOW() - INTERVAL '7 days'`
+    );
+    // Rotated tokens are kept for a while so reuse can still be detected
+    const tokenResult = await pool.query(
+      `DELETE FROM refresh_tokens WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL '7 days'`
+    );
+    const resetResult = await pool.query(
+      `DELETE FROM password_resets WHERE expires_at < NOW()`
+    );
+    const notificationResult = await pool.query(
+      `DELETE FROM notification_log WHERE created_at < NOW() - INTERVAL '30 days'`
+    );
+    const removed = result.rowCount + trafficResult.rowCount + exposureResult.rowCount + tokenResult.rowCount +
+      resetResult.rowCount + notificationResult.rowCount;
+    if (removed > 0) {
+      console.log(`Cleanup complete. Removed ${removed} old records.`);
     } else {
       console.log('Cleanup complete. No old records to remove.');
     }
+    return {
+      noiseSources: result.rowCount,
+      trafficSnapshots: trafficResult.rowCount,
+      buildingExposure: exposureResult.rowCount,
+      refreshTokens: tokenResult.rowCount,
+      passwordResets: resetResult.rowCount,
+      notificationLog: notificationResult.rowCount
+    };
   } catch (err) {
     console.error('Error during old data cleanup:', err.message);
+    return null;
+  }
+}
+
+const EXPOSURE_INTERVAL_MS = (parseInt(process.env.EXPOSURE_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+let lastExposureWindowEnd = null;
+let exposureUpdateRunning = false;
+
+// Recompute every building's level from the flights seen since the last run and the current
+// road traffic, then store it as buildings.current_noise and in building_noise_exposure
+async function updateBuildingExposure() {
+  if (exposureUpdateRunning) {
+    console.log('Building exposure update already running, skipping.');
+    return;
+  }
+  exposureUpdateRunning = true;
+
+  // Carry on from the previous window unless there's been a long gap (e.g. a restart)
+  const windowEnd = new Date();
+  const windowStart = lastExposureWindowEnd && windowEnd - lastExposureWindowEnd <= 2 * EXPOSURE_INTERVAL_MS
+    ? lastExposureWindowEnd
+    : new Date(windowEnd.getTime() - EXPOSURE_INTERVAL_MS);
+  const windowSeconds = (windowEnd - windowStart) / 1000;
+
+  try {
+    const { rows: buildings } = await pool.query(
+      `SELECT id::text AS id, ST_Y(geog::geometry) AS lat, ST_X(geog::geometry) AS lng
+       FROM buildings
+       WHERE geog IS NOT NULL`
+    );
+    if (buildings.length === 0) {
+      console.log('No buildings to update exposure for.');
+      return;
+    }
+
+    const { rows: fixRows } = await pool.query(
+      `
+      SELECT
+        source_id,
+        ST_Y(geom::geometry) AS lat,
+        ST_X(geom::geometry) AS lng,
+        altitude_meters,
+        speed_kph,
+        vertical_rate,
+        created_at
+      FROM noise_sources
+      WHERE source_type = 'flight' AND created_at >= $1 AND created_at < $2
+      `,
+      [windowStart, windowEnd]
+    );
+
+    const emitters = prepareFlightFixes(fixRows.map(row => ({
+      aircraft: row.source_id,
+      lat: parseFloat(row.lat),
+      lng: parseFloat(row.lng),
+      altitude: row.altitude_meters,
+      speedMs: row.speed_kph === null ? null : row.speed_kph / 3.6,
+      verticalRate: row.vertical_rate,
+      timestamp: new Date(row.created_at)
+    })), windowEnd);
+
+    const warnings = [];
+    const road = await getRoadNoiseContributions(windowEnd, warnings);
+    warnings.forEach(warning => console.warn(`⚠️ Building exposure: ${warning}`));
+
+    const results = buildings.map(building => ({
+      id: building.id,
+      ...computeExposure(
+        { lat: parseFloat(building.lat), lng: parseFloat(building.lng) },
+        { emitters, roadContributions: road.contributions, windowSeconds }
+      )
+    }));
+
+    const ids = results.map(result => result.id);
+    const levels = results.map(result => result.level);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE buildings b
+         SET current_noise = u.level, noise_updated_at = $3
+         FROM unnest($1::text[], $2::real[]) AS u(id, level)
+         WHERE b.id::text = u.id`,
+        [ids, levels, windowEnd]
+      );
+      await client.query(
+        `INSERT INTO building_noise_exposure (building_id, level, flight_level, road_level, window_start, duration_seconds)
+         SELECT u.id, u.level, u.flight_level, u.road_level, $5, $6
+         FROM unnest($1::text[], $2::real[], $3::real[], $4::real[]) AS u(id, level, flight_level, road_level)`,
+        [ids, levels, results.map(result => result.flightLevel), results.map(result => result.roadLevel), windowStart, Math.round(windowSeconds)]
+      );
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    lastExposureWindowEnd = windowEnd;
+    console.log(`🏢 Updated noise exposure for ${results.length} buildings (${emitters.length} flight fixes, ${road.contributions.length} road points, road mode ${road.mode})`);
+  } catch (error) {
+    console.error('❌ Building exposure update failed:', error.message);
+  } finally {
+    exposureUpdateRunning = false;
+  }
+}
+
+try {
+  await initSchema();
+} catch (error) {
+  console.error('❌ Failed to initialise database schema:', error.message);
+}
+
+try {
+  const loaded = await loadBoundaries(pool, {
+    emirateFile: process.env.EMIRATE_BOUNDARIES_FILE,
+    districtFile: process.env.DISTRICT_BOUNDARIES_FILE
+  });
+  for (const [level, count] of Object.entries(loaded)) {
+    console.log(`🗺️ Loaded ${count} ${level} boundaries`);
+  }
+
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM boundaries');
+  boundaryCount = rows[0].count;
+
+  if (boundaryCount > 0) {
+    const backfilled = await backfillRegions(pool);
+    console.log(`🗺️ Labelled ${backfilled.noiseSources} noise points and ${backfilled.buildings} buildings by boundary`);
+  } else {
+    console.log('⚠️ No emirate boundaries loaded; set EMIRATE_BOUNDARIES_FILE to label points by emirate');
+  }
+} catch (error) {
+  console.error('❌ Failed to load emirate boundaries:', error.message);
+}
+
+let flightRefreshPromise = null;
+
+// Scheduled polls and admin-triggered refreshes share one in-flight update, so a manual
+// refresh never makes a second OpenSky request alongside the poll
+function refreshFlightData() {
+  if (!flightRefreshPromise) {
+    flightRefreshPromise = updateAndBroadcastNoiseData().finally(() => {
+      flightRefreshPromise = null;
+    });
   }
+  return flightRefreshPromise;
 }
 
-setInterval(updateAndBroadcastNoiseData, 60000);
+// Self-scheduling rather than setInterval: the OpenSky client decides the next delay
+// from the remaining quota, rate limit responses and consecutive failures
+async function pollFlightData() {
+  try {
+    await refreshFlightData();
+  } catch (error) {
+    console.error('Flight data poll failed:', error.message);
+  }
+  setTimeout(pollFlightData, openSky.nextPollDelay());
+}
 
 const SIX_HOURS_MS = 6 * 60 * 60 * 1000;
 setInterval(cleanupOldData, SIX_HOURS_MS);
 cleanupOldData();
 
-updateAndBroadcastNoiseData();
+setInterval(updateBuildingExposure, EXPOSURE_INTERVAL_MS);
 
-wss.on('connection', (ws) => {
-  console.log('🚀 Client connected to WebSocket');
+pollFlightData();
+
+// Ping every client each interval; anyone who hasn't answered the previous ping is gone
+const heartbeat = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (!ws.isAlive) {
+      console.log('💀 Terminating unresponsive WebSocket client');
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+wss.on('connection', (ws, req, user) => {
+  console.log(`🚀 Client connected to WebSocket${user ? ` (user ${user.userId})` : ''}`);
+
+  ws.user = user;
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.subscription = createSubscription({ sources: allowedChannels(user) });
+  const resume = parseConnectionQuery(req.url);
+  ws.deltas = Boolean(resume?.deltas);
   
   ws.send(JSON.stringify({
     type: 'WELCOME',
-    message: 'Connected to UAE Noise Monitor WebSocket'
+    message: 'Connected to UAE Noise Monitor WebSocket',
+    authenticated: Boolean(user),
+    channels: allowedChannels(user),
+    feedId: flightDeltas.feedId,
+    seq: flightDeltas.seq
   }));
 
-  if (lastKnownFlightData.length > 0) {
-    ws.send(JSON.stringify({
-      type: 'NOISE_DATA_UPDATE',
-      data: lastKnownFlightData
-    }));
+  if (!resume) {
+    ws.send(errorMessage('INVALID_QUERY', 'Invalid connection parameters; sending a full snapshot instead.'));
+  }
+
+  ws.send(JSON.stringify({
+    type: 'INGESTION_STATUS',
+    data: openSky.getStatus()
+  }));
+
+  if (resume?.lastSeq !== undefined) {
+    resumeFlightFeed(ws, resume.feedId, resume.lastSeq);
+  } else if (lastKnownFlightData.length > 0) {
+    sendFlightData(ws, lastKnownFlightData);
   }
+  sendTrafficData(ws);
+
+  ws.on('message', (raw) => handleClientMessage(ws, raw));
 
   ws.on('close', () => {
     console.log('Client disconnected');
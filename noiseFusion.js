@@ -0,0 +1,88 @@
+// Decibels don't add linearly: two 70 dB sources make 73 dB, not 140 dB.
+// Everything here works on sound energy (10^(L/10)) and converts back at the end.
+
+export function sumDecibels(levels) {
+  if (levels.length === 0) return null;
+  const energy = levels.reduce((total, level) => total + 10 ** (level / 10), 0);
+  return 10 * Math.log10(energy);
+}
+
+// Energetic mean, for several readings describing the same place rather than separate emitters
+export function averageDecibels(levels) {
+  if (levels.length === 0) return null;
+  return sumDecibels(levels) - 10 * Math.log10(levels.length);
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function cellIndex(value, cellSize) {
+  return Math.floor(value / cellSize);
+}
+
+// How several contributions from one source type combine inside a cell:
+//   sum     - independent emitters (e.g. two aircraft)
+//   max     - repeated samples of the same emitter, per group (e.g. points along one road)
+//   average - observations of the same location (e.g. building readings)
+export const SOURCE_COMBINE_MODES = {
+  flight: 'sum',
+  road: 'max',
+  building: 'average'
+};
+
+function combineSourceLevels(mode, contributions) {
+  if (mode === 'max') {
+    // Take the loudest sample per group, then treat different groups as independent
+    const loudestPerGroup = new Map();
+    for (const { group, level } of contributions) {
+      loudestPerGroup.set(group, Math.max(loudestPerGroup.get(group) ?? -Infinity, level));
+    }
+    return sumDecibels([...loudestPerGroup.values()]);
+  }
+
+  const levels = contributions.map(c => c.level);
+  return mode === 'average' ? averageDecibels(levels) : sumDecibels(levels);
+}
+
+// contributions: [{ source, lat, lng, level, group? }]
+// Returns one entry per non-empty cell with the combined level and a per-source breakdown.
+export function buildNoiseGrid({ bbox, cellSize, contributions }) {
+  const cells = new Map();
+
+  for (const contribution of contributions) {
+    const { source, lat, lng, level } = contribution;
+    if (!Number.isFinite(level)) continue;
+    if (lng < bbox.minLng || lng > bbox.maxLng || lat < bbox.minLat || lat > bbox.maxLat) continue;
+
+    const row = cellIndex(lat, cellSize);
+    const col = cellIndex(lng, cellSize);
+    const key = `${row}:${col}`;
+
+    if (!cells.has(key)) {
+      cells.set(key, { row, col, bySource: new Map() });
+    }
+
+    const { bySource } = cells.get(key);
+    if (!bySource.has(source)) {
+      bySource.set(source, []);
+    }
+    bySource.get(source).push({ level, group: contribution.group ?? source });
+  }
+
+  return [...cells.values()].map(({ row, col, bySource }) => {
+    const sources = {};
+    for (const [source, sourceContributions] of bySource) {
+      const mode = SOURCE_COMBINE_MODES[source] ?? 'sum';
+      sources[source] = {
+        noiseLevel: round1(combineSourceLevels(mode, sourceContributions)),
+        count: sourceContributions.length
+      };
+    }
+
+    return {
+      lat: Number(((row + 0.5) * cellSize).toFixed(6)),
+      lng: Number(((col + 0.5) * cellSize).toFixed(6)),
+      noiseLevel: round1(sumDecibels(Object.values(sources).map(s => s.noiseLevel))),
+      sources
+    };
+  }).sort((a, b) => b.noiseLevel - a.noiseLevel);
+}
@@ -0,0 +1,67 @@
+// Message templates for notifications, in English and Arabic.
+//
+// Each template has a subject (used for email) and a text body built from the data passed to
+// notifications.send(). SMS only uses the body, so keep bodies short enough for one or two
+// segments; Arabic is sent as UCS-2, where a segment is 70 characters rather than 160.
+
+export const LOCALES = ['en', 'ar'];
+export const DEFAULT_LOCALE = 'en';
+
+const TEMPLATES = {
+  registration_otp: {
+    en: {
+      subject: 'Your UAE Noise Monitor verification code',
+      text: ({ code, minutes }) => `Your UAE Noise Monitor verification code is: ${code}. It expires in ${minutes} minutes.`
+    },
+    ar: {
+      subject: 'رمز التحقق الخاص بك في UAE Noise Monitor',
+      text: ({ code, minutes }) => `رمز التحقق الخاص بك في UAE Noise Monitor هو: ${code}. تنتهي صلاحيته خلال ${minutes} دقيقة.`
+    }
+  },
+
+  password_reset_otp: {
+    en: {
+      subject: 'Reset your UAE Noise Monitor password',
+      text: ({ code, minutes }) => `Your UAE Noise Monitor password reset code is: ${code}. It expires in ${minutes} minutes. If you didn't ask to reset your password, ignore this message.`
+    },
+    ar: {
+      subject: 'إعادة تعيين كلمة المرور في UAE Noise Monitor',
+      text: ({ code, minutes }) => `رمز إعادة تعيين كلمة المرور في UAE Noise Monitor هو: ${code}. تنتهي صلاحيته خلال ${minutes} دقيقة. إذا لم تطلب إعادة التعيين، تجاهل هذه الرسالة.`
+    }
+  },
+
+  ingestion_alert: {
+    en: {
+      subject: ({ state }) => `Flight ingestion status: ${state}`,
+      text: ({ state, lastError, consecutiveFailures }) =>
+        `Flight data ingestion changed to "${state}".` +
+        (lastError ? ` Last error: ${lastError}.` : '') +
+        ` Consecutive failures: ${consecutiveFailures ?? 0}.`
+    },
+    ar: {
+      subject: ({ state }) => `حالة استقبال بيانات الرحلات: ${state}`,
+      text: ({ state, lastError, consecutiveFailures }) =>
+        `تغيرت حالة استقبال بيانات الرحلات إلى "${state}".` +
+        (lastError ? ` آخر خطأ: ${lastError}.` : '') +
+        ` عدد الإخفاقات المتتالية: ${consecutiveFailures ?? 0}.`
+    }
+  }
+};
+
+export const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// Unknown locales fall back to English; an unknown template is a programming error
+export function renderTemplate(name, locale, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const resolvedLocale = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const { subject, text } = template[resolvedLocale];
+  return {
+    locale: resolvedLocale,
+    subject: typeof subject === 'function' ? subject(data) : subject,
+    text: text(data)
+  };
+}
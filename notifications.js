@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import nodemailer from 'nodemailer';
+import twilio from 'twilio';
+import { renderTemplate } from './notificationTemplates.js';
+
+// Outgoing notifications (OTP codes, operator alerts) over SMS or email.
+//
+// Transports are picked per channel:
+//   SMS_TRANSPORT    twilio | file | memory
+//   EMAIL_TRANSPORT  smtp   | file | memory
+//
+// twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER; smtp needs
+// SMTP_HOST (plus SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS) and EMAIL_FROM. The file
+// transport appends each message as a JSON line to NOTIFICATION_FILE, and memory keeps the
+// most recent ones in process; both are for development and tests only and have to be chosen
+// explicitly, and with NODE_ENV=production only twilio and smtp are accepted.
+//
+// There is no default transport. A channel's transport is resolved on its first send, so an
+// unset channel is simply disabled and a misconfigured one fails its sends; neither stops the
+// server, the same as a missing traffic provider key.
+//
+// Every attempt is recorded in notification_log with its outcome, but never the message
+// body, since that usually holds a code.
+
+export const CHANNELS = ['sms', 'email'];
+
+const TRANSPORTS = {
+  sms: ['twilio', 'file', 'memory'],
+  email: ['smtp', 'file', 'memory']
+};
+const TRANSPORT_VARIABLES = {
+  sms: 'SMS_TRANSPORT',
+  email: 'EMAIL_TRANSPORT'
+};
+const DEVELOPMENT_TRANSPORTS = ['file', 'memory'];
+
+const DEFAULT_NOTIFICATION_FILE = 'notifications.log';
+const MEMORY_OUTBOX_SIZE = 100;
+
+export class NotificationError extends Error {
+  constructor(message, { channel = null, transport = null } = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.channel = channel;
+    this.transport = transport;
+  }
+}
+
+function requireEnv(env, names, transport) {
+  const missing = names.filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${transport} transport needs ${missing.join(', ')} in environment variables`);
+  }
+}
+
+function createTwilioTransport(env) {
+  requireEnv(env, ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'], 'twilio');
+  const client = twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN);
+
+  return async ({ to, text }) => {
+    const message = await client.messages.create({
+      body: text,
+      from: env.TWILIO_PHONE_NUMBER,
+      to
+    });
+    // Twilio accepts first and delivers later, so this is usually "queued"
+    return { status: message.status ?? 'queued', providerId: message.sid };
+  };
+}
+
+function createSmtpTransport(env) {
+  requireEnv(env, ['SMTP_HOST', 'EMAIL_FROM'], 'smtp');
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true', // true for port 465, otherwise STARTTLS
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return async ({ to, subject, text }) => {
+    const info = await transporter.sendMail({
+      from: env.EMAIL_FROM,
+      to,
+      subject,
+      text
+    });
+    return { status: 'sent', providerId: info.messageId ?? null };
+  };
+}
+
+function createFileTransport(filePath) {
+  return async (message) => {
+    await fs.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    return { status: 'sent', providerId: null };
+  };
+}
+
+function createMemoryTransport(outbox) {
+  return async (message) => {
+    outbox.push({ ...message, sentAt: new Date().toISOString() });
+    if (outbox.length > MEMORY_OUTBOX_SIZE) {
+      outbox.splice(0, outbox.length - MEMORY_OUTBOX_SIZE);
+    }
+    return { status: 'sent', providerId: null };
+  };
+}
+
+// null when the channel isn't configured; throws when it's configured wrongly
+function transportName(env, channel) {
+  const variable = TRANSPORT_VARIABLES[channel];
+  const name = (env[variable] ?? '').trim().toLowerCase();
+
+  if (!name) return null;
+  if (!TRANSPORTS[channel].includes(name)) {
+    throw new Error(`Unknown ${channel} transport "${name}". Expected one of: ${TRANSPORTS[channel].join(', ')}`);
+  }
+  if (env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`${variable}=${name} is for development only and can't be used in production`);
+  }
+  return name;
+}
+
+export function createNotificationService(pool, env = process.env) {
+  const outbox = [];
+  const notificationFile = env.NOTIFICATION_FILE || DEFAULT_NOTIFICATION_FILE;
+
+  // channel -> { name, send } or, when it can't send, { name, status, error }
+  const transports = new Map();
+
+  function createTransport(name) {
+    if (name === 'twilio') return createTwilioTransport(env);
+    if (name === 'smtp') return createSmtpTransport(env);
+    if (name === 'file') return createFileTransport(notificationFile);
+    return createMemoryTransport(outbox);
+  }
+
+  function transportFor(channel) {
+    if (!transports.has(channel)) {
+      let transport;
+      try {
+        const name = transportName(env, channel);
+        transport = name
+          ? { name, send: createTransport(name) }
+          : { name: 'none', status: 'disabled', error: `${TRANSPORT_VARIABLES[channel]} is not set` };
+      } catch (error) {
+        transport = { name: 'none', status: 'failed', error: error.message };
+      }
+      transports.set(channel, transport);
+    }
+    return transports.get(channel);
+  }
+
+  async function logAttempt(entry) {
+    try {
+      await pool.query(
+        `INSERT INTO notification_log (channel, transport, template, locale, recipient, status, provider_id, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [entry.channel, entry.transport, entry.template, entry.locale, entry.recipient, entry.status, entry.providerId, entry.error]
+      );
+    } catch (error) {
+      // A logging failure shouldn't turn a delivered message into an error for the caller
+      console.error('❌ Failed to record notification attempt:', error.message);
+    }
+  }
+
+  return {
+    // Per channel, the transport in use or why there is none
+    get transports() {
+      return Object.fromEntries(CHANNELS.map(channel => {
+        const { name, status, error } = transportFor(channel);
+        return [channel, error ? { status, error } : name];
+      }));
+    },
+
+    // Messages held by the memory transport, oldest first
+    get outbox() {
+      return [...outbox];
+    },
+
+    // Renders `template` in `locale` and sends it. Resolves to { status, providerId } and
+    // throws NotificationError when the channel is disabled or the transport fails; either
+    // way the attempt is logged.
+    async send({ channel, to, template, locale, data }) {
+      if (!CHANNELS.includes(channel)) {
+        throw new NotificationError(`Unknown notification channel: ${channel}`, { channel });
+      }
+
+      const transport = transportFor(channel);
+      const message = renderTemplate(template, locale, data);
+      const entry = {
+        channel,
+        transport: transport.name,
+        template,
+        locale: message.locale,
+        recipient: to
+      };
+
+      if (!transport.send) {
+        console.warn(`⚠️ Not sending ${template} ${channel}: ${transport.error}`);
+        await logAttempt({ ...entry, status: transport.status, providerId: null, error: transport.error });
+        throw new NotificationError(`${channel} notifications are ${transport.status === 'disabled' ? 'disabled' : 'misconfigured'}`, { channel });
+      }
+
+      try {
+        const result = await transport.send({ channel, to, template, ...message });
+        await logAttempt({ ...entry, ...result, error: null });
+        return result;
+      } catch (error) {
+        console.error(`❌ Failed to send ${template} ${channel} via ${transport.name}:`, error.message);
+        await logAttempt({ ...entry, status: 'failed', providerId: null, error: error.message.slice(0, 1000) });
+        throw new NotificationError(`Failed to send ${channel} notification`, { channel, transport: transport.name });
+      }
+    }
+  };
+}
@@ -0,0 +1,261 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// OpenSky state-vector client.
+//
+// Modes (OPENSKY_MODE):
+//   live    - poll the API (default)
+//   record  - poll the API and save every raw response to OPENSKY_RECORD_DIR
+//   replay  - read recorded responses from OPENSKY_REPLAY_DIR in order, looping, with
+//             timestamps shifted to "now" so the rest of the pipeline treats them as live
+//
+// Auth: OAuth2 client credentials (OPENSKY_CLIENT_ID / OPENSKY_CLIENT_SECRET) or legacy
+// basic auth (OPENSKY_USERNAME / OPENSKY_PASSWORD). Anonymous access still works but has
+// a much smaller daily quota.
+
+const STATES_URL = 'https://opensky-network.org/api/states/all';
+const TOKEN_URL = 'https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token';
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const DEFAULT_RATE_LIMIT_WAIT_MS = 5 * 60 * 1000;
+const CREDIT_RESERVE = 10; // keep a few credits back for manual refreshes
+
+export class OpenSkyError extends Error {
+  constructor(message, { status = null, rateLimited = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'OpenSkyError';
+    this.status = status;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// OpenSky charges per request by area: up to 25 sq deg costs 1 credit, up to 100 costs 2, etc.
+function creditCost(box) {
+  const area = (box.lamax - box.lamin) * (box.lomax - box.lomin);
+  if (area <= 25) return 1;
+  if (area <= 100) return 2;
+  if (area <= 400) return 3;
+  return 4;
+}
+
+function msUntilUtcMidnight(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return midnight - now.getTime();
+}
+
+function createLiveSource(env) {
+  const clientId = env.OPENSKY_CLIENT_ID;
+  const clientSecret = env.OPENSKY_CLIENT_SECRET;
+  const username = env.OPENSKY_USERNAME;
+  const password = env.OPENSKY_PASSWORD;
+
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  async function getAuthHeader() {
+    if (clientId && clientSecret) {
+      if (!token || Date.now() > tokenExpiresAt - 60 * 1000) {
+        const response = await fetch(TOKEN_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: clientId,
+            client_secret: clientSecret
+          })
+        });
+        if (!response.ok) {
+          throw new OpenSkyError(`OpenSky token request failed: ${response.status} ${response.statusText}`, { status: response.status });
+        }
+        const data = await response.json();
+        token = data.access_token;
+        tokenExpiresAt = Date.now() + data.expires_in * 1000;
+      }
+      return `Bearer ${token}`;
+    }
+
+    if (username && password) {
+      return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+
+    return null;
+  }
+
+  return {
+    authenticated: Boolean((clientId && clientSecret) || (username && password)),
+
+    async fetch(box) {
+      const url = `${STATES_URL}?lamin=${box.lamin}&lomin=${box.lomin}&lamax=${box.lamax}&lomax=${box.lomax}`;
+      const authHeader = await getAuthHeader();
+      const response = await fetch(url, {
+        headers: authHeader ? { Authorization: authHeader } : {}
+      });
+
+      const remaining = response.headers.get('x-rate-limit-remaining');
+      const remainingCredits = remaining === null ? null : parseInt(remaining);
+
+      if (response.status === 429) {
+        const retryAfter = response.headers.get('x-rate-limit-retry-after-seconds');
+        throw new OpenSkyError('OpenSky rate limit reached', {
+          status: 429,
+          rateLimited: true,
+          retryAfterMs: retryAfter ? parseInt(retryAfter) * 1000 : null
+        });
+      }
+
+      if (response.status === 401) {
+        token = null; // force a fresh token next time
+      }
+
+      if (!response.ok) {
+        throw new OpenSkyError(`OpenSky API error: ${response.status} ${response.statusText}`, { status: response.status });
+      }
+
+      return { data: await response.json(), remainingCredits };
+    }
+  };
+}
+
+function createReplaySource(replayDir) {
+  if (!replayDir) {
+    throw new Error('OPENSKY_REPLAY_DIR not found in environment variables');
+  }
+
+  let files = null;
+  let cursor = 0;
+
+  return {
+    authenticated: false,
+
+    async fetch() {
+      if (!files) {
+        files = (await fs.readdir(replayDir)).filter(file => file.endsWith('.json')).sort();
+        if (files.length === 0) {
+          throw new OpenSkyError(`No recorded OpenSky responses in ${replayDir}`);
+        }
+        console.log(`📼 Replaying ${files.length} recorded OpenSky responses from ${replayDir}`);
+      }
+
+      const file = files[cursor];
+      cursor = (cursor + 1) % files.length;
+      const data = JSON.parse(await fs.readFile(path.join(replayDir, file), 'utf8'));
+
+      // Shift the recording so it looks like it was captured just now
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const shift = data.time ? nowSeconds - data.time : 0;
+      return {
+        data: {
+          ...data,
+          time: nowSeconds,
+          states: (data.states || []).map(state => {
+            const shifted = [...state];
+            if (shifted[3] !== null) shifted[3] += shift; // time_position
+            if (shifted[4] !== null) shifted[4] += shift; // last_contact
+            return shifted;
+          })
+        },
+        remainingCredits: null
+      };
+    }
+  };
+}
+
+export function createOpenSkyClient(env = process.env) {
+  const mode = (env.OPENSKY_MODE || 'live').toLowerCase();
+  if (!['live', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown OPENSKY_MODE "${mode}". Expected one of: live, record, replay`);
+  }
+  if (mode === 'record' && !env.OPENSKY_RECORD_DIR) {
+    throw new Error('OPENSKY_RECORD_DIR not found in environment variables');
+  }
+
+  const baseIntervalMs = parseInt(env.OPENSKY_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  const source = mode === 'replay' ? createReplaySource(env.OPENSKY_REPLAY_DIR) : createLiveSource(env);
+
+  const status = {
+    mode,
+    authenticated: source.authenticated,
+    state: 'starting', // starting | ok | rate_limited | error
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    remainingCredits: null,
+    lastStateCount: null,
+    nextPollAt: null
+  };
+  let nextDelayMs = baseIntervalMs;
+
+  async function record(data) {
+    try {
+      await fs.mkdir(env.OPENSKY_RECORD_DIR, { recursive: true });
+      await fs.writeFile(
+        path.join(env.OPENSKY_RECORD_DIR, `${Date.now()}.json`),
+        JSON.stringify(data)
+      );
+    } catch (error) {
+      console.error('❌ Failed to record OpenSky response:', error.message);
+    }
+  }
+
+  // Spread the remaining daily credits over the rest of the (UTC) day
+  function budgetedInterval(box) {
+    if (status.remainingCredits === null) return baseIntervalMs;
+    const usable = Math.max(1, status.remainingCredits - CREDIT_RESERVE);
+    const polls = usable / creditCost(box);
+    return Math.max(baseIntervalMs, Math.ceil(msUntilUtcMidnight() / polls));
+  }
+
+  return {
+    mode,
+
+    // Resolves with the raw response ({ time, states }); rejects with OpenSkyError.
+    // Either way the next poll delay and status are updated.
+    async fetchStates(box) {
+      try {
+        const { data, remainingCredits } = await source.fetch(box);
+        if (mode === 'record') {
+          await record(data);
+        }
+
+        status.state = 'ok';
+        status.lastSuccessAt = new Date().toISOString();
+        status.consecutiveFailures = 0;
+        status.lastStateCount = data.states?.length ?? 0;
+        if (remainingCredits !== null) {
+          status.remainingCredits = remainingCredits;
+        }
+        nextDelayMs = mode === 'replay' ? baseIntervalMs : budgetedInterval(box);
+
+        return data;
+      } catch (error) {
+        status.consecutiveFailures++;
+        status.lastErrorAt = new Date().toISOString();
+        status.lastError = error.message;
+
+        if (error.rateLimited) {
+          status.state = 'rate_limited';
+          status.remainingCredits = 0;
+          nextDelayMs = error.retryAfterMs ?? DEFAULT_RATE_LIMIT_WAIT_MS;
+        } else {
+          status.state = 'error';
+          nextDelayMs = Math.min(MAX_BACKOFF_MS, baseIntervalMs * 2 ** (status.consecutiveFailures - 1));
+        }
+
+        throw error;
+      } finally {
+        status.nextPollAt = new Date(Date.now() + nextDelayMs).toISOString();
+      }
+    },
+
+    nextPollDelay() {
+      return nextDelayMs;
+    },
+
+    getStatus() {
+      return { ...status, pollIntervalMs: nextDelayMs };
+    }
+  };
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// One-time codes for phone verification and password resets.
+//
+// Codes come from the CSPRNG and only an HMAC of them is stored, keyed with OTP_SECRET
+// (falling back to JWT_SECRET). A plain hash wouldn't help: with a million possible codes
+// anyone holding the table could try them all.
+
+export const OTP_LENGTH = 6;
+export const OTP_TTL_MINUTES = 10;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+export function generateOtp() {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+function otpSecret(env) {
+  const secret = env.OTP_SECRET || env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET or JWT_SECRET must be set to hash OTP codes');
+  }
+  return secret;
+}
+
+// Bound to whatever the code is for (a phone number, a user's reset) so a hash can't be
+// replayed onto another row
+export function hashOtp(otp, boundTo, env = process.env) {
+  return crypto.createHmac('sha256', otpSecret(env)).update(`${boundTo}:${otp}`).digest('hex');
+}
+
+export function otpMatches(otp, boundTo, storedHash, env = process.env) {
+  if (!storedHash) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashOtp(otp, boundTo, env), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,101 @@
+import { z } from 'zod';
+import { UAE_AIRPORTS, FLIGHT_PHASES } from './airports.js';
+
+// Query-string schemas shared by the history and heatmap endpoints.
+//
+// Every parameter is optional: a request without any gets the last 24 hours over the
+// whole UAE at the default grid size, the same as before these endpoints took parameters.
+
+export const HISTORY_BUCKETS = {
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '6h': 6 * 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+export const MAX_HISTORY_RANGE_MS = 7 * 24 * 60 * 60 * 1000; // matches the 7 day retention
+
+export const UAE_BOUNDS = {
+  minLat: 22.6,
+  minLng: 51.55,
+  maxLat: 26.3,
+  maxLng: 56.38
+};
+
+export const DEFAULT_HEATMAP_GRID_SIZE = 0.005;
+
+// The whole of UAE_BOUNDS at the default grid size is ~715k cells and has to stay allowed;
+// what this stops is the whole country at a fine grid (0.0005° would be 71M cells)
+export const MAX_HEATMAP_CELLS = 1000000;
+export const MAX_HEATMAP_FRAMES = 500;
+export const HEATMAP_NORMALIZATION_MODES = ['fixed', 'max', 'log'];
+
+// bbox=minLng,minLat,maxLng,maxLat
+export const bboxSchema = z.string()
+  .regex(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/, { message: "bbox must be minLng,minLat,maxLng,maxLat" })
+  .transform((value) => {
+    const [minLng, minLat, maxLng, maxLat] = value.split(',').map(Number);
+    return { minLng, minLat, maxLng, maxLat };
+  })
+  .refine((bbox) => bbox.minLng < bbox.maxLng && bbox.minLat < bbox.maxLat, {
+    message: "bbox minimums must be smaller than maximums"
+  });
+
+export const sourceListSchema = z.string()
+  .regex(/^[a-z_]+(,[a-z_]+)*$/, { message: "source must be a comma-separated list of source types" })
+  .transform((value) => [...new Set(value.split(','))]);
+
+export const flightPhaseListSchema = sourceListSchema.refine(
+  (phases) => phases.every(phase => FLIGHT_PHASES.includes(phase)),
+  { message: `phase must be a comma-separated list of: ${FLIGHT_PHASES.join(', ')}` }
+);
+
+export const airportListSchema = z.string()
+  .transform((value) => [...new Set(value.toUpperCase().split(','))])
+  .refine((codes) => codes.every(code => UAE_AIRPORTS.some(airport => airport.code === code)), {
+    message: `airport must be a comma-separated list of: ${UAE_AIRPORTS.map(a => a.code).join(', ')}`
+  });
+
+const heatmapQueryShape = {
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  bbox: bboxSchema.optional(),
+  gridSize: z.coerce.number().min(0.0005, { message: "gridSize must be at least 0.0005" }).max(0.1, { message: "gridSize cannot exceed 0.1" }).default(DEFAULT_HEATMAP_GRID_SIZE),
+  source: sourceListSchema.default(['flight']),
+  minCount: z.coerce.number().int().min(1).max(10000).default(2),
+  phase: flightPhaseListSchema.optional(),
+  airport: airportListSchema.optional(),
+  normalize: z.enum(HEATMAP_NORMALIZATION_MODES).default('fixed'),
+  scale: z.coerce.number().positive().max(100000).default(50)
+};
+
+export function heatmapCellCount(bbox, gridSize) {
+  const columns = (bbox.maxLng - bbox.minLng) / gridSize;
+  const rows = (bbox.maxLat - bbox.minLat) / gridSize;
+  return columns * rows;
+}
+
+// Defaults and limits shared by every heatmap query
+function refineHeatmapQuery(schema) {
+  return schema.transform((query) => {
+    const to = query.to ?? new Date();
+    const from = query.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    return { ...query, from, to, bbox: query.bbox ?? UAE_BOUNDS };
+  }).refine((query) => query.from < query.to, {
+    message: "'from' must be before 'to'"
+  }).refine((query) => query.to - query.from <= MAX_HISTORY_RANGE_MS, {
+    message: "Time range cannot exceed 7 days"
+  }).refine((query) => heatmapCellCount(query.bbox, query.gridSize) <= MAX_HEATMAP_CELLS, {
+    message: "bbox is too large for this gridSize; zoom in or use a larger gridSize"
+  });
+}
+
+export const heatmapHistoryQuerySchema = refineHeatmapQuery(z.object(heatmapQueryShape));
+
+export const heatmapFramesQuerySchema = refineHeatmapQuery(z.object({
+  ...heatmapQueryShape,
+  bucket: z.enum(Object.keys(HISTORY_BUCKETS)).default('1h')
+})).refine((query) => (query.to - query.from) / (HISTORY_BUCKETS[query.bucket] * 1000) <= MAX_HEATMAP_FRAMES, {
+  message: `Too many frames; use a larger bucket or a shorter time range (max ${MAX_HEATMAP_FRAMES})`
+});
@@ -0,0 +1,58 @@
+// In-memory fixed-window rate limiting.
+//
+// Counters live in this process, so with several instances each one enforces its own limit.
+// That's enough to stop OTP brute forcing and SMS pumping from a single client; expired
+// windows are swept periodically so the maps don't grow without bound.
+
+export function createRateLimiter({ name, windowMs, max }) {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    name,
+
+    // Counts one hit for `key`; returns 0 when allowed, otherwise ms until the window resets
+    consume(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count++;
+      return window.count > max ? window.resetAt - now : 0;
+    }
+  };
+}
+
+// Express middleware checking each limiter against the key it derives from the request.
+// A limiter whose key is missing (e.g. a body that will fail validation) is skipped.
+export function rateLimit(...rules) {
+  return (req, res, next) => {
+    for (const { limiter, key } of rules) {
+      const value = key(req);
+      if (value === undefined || value === null || value === '') continue;
+
+      const retryAfterMs = limiter.consume(String(value).toLowerCase());
+      if (retryAfterMs > 0) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        console.warn(`🚦 Rate limit ${limiter.name} hit on ${req.method} ${req.path}`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests. Please try again later.',
+          retryAfter
+        });
+      }
+    }
+    next();
+  };
+}
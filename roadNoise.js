@@ -0,0 +1,78 @@
+// Road traffic noise estimate based on a simplified CoRTN (Calculation of Road Traffic Noise)
+// model. Levels are LAeq,1h in dB(A) at REFERENCE_DISTANCE_METERS from the kerb so they can
+// sit on the same scale as the flight noiseLevel values.
+
+export const REFERENCE_DISTANCE_METERS = 10;
+
+const DEFAULT_HEAVY_VEHICLE_PERCENT = 10;
+const MIN_MODEL_SPEED_KPH = 20; // CoRTN speed correction isn't valid below this
+const MAX_MODEL_SPEED_KPH = 130;
+
+// Route weight is our only hint of road class; flows are typical peak-hour volumes
+export const ROAD_CLASSES = {
+  motorway: { minWeight: 0.9, freeFlowSpeedKph: 120, flowPerHour: 6000 },
+  arterial: { minWeight: 0.8, freeFlowSpeedKph: 100, flowPerHour: 4000 },
+  urban: { minWeight: 0, freeFlowSpeedKph: 60, flowPerHour: 2000 },
+};
+
+export function classifyRoad(weight) {
+  for (const [roadClass, params] of Object.entries(ROAD_CLASSES)) {
+    if (weight >= params.minWeight) {
+      return { roadClass, ...params };
+    }
+  }
+  return { roadClass: 'urban', ...ROAD_CLASSES.urban };
+}
+
+// Horizontal distance from the kerb -> slant distance to the CoRTN source line
+// (3.5 m in from the kerb, 0.5 m above the road, receiver at 4 m)
+function slantDistance(distanceMeters) {
+  return Math.sqrt((distanceMeters + 3.5) ** 2 + 3.5 ** 2);
+}
+
+// Line source spreading: -3 dB per doubling of distance
+export function attenuateRoadNoise(levelAtReference, distanceMeters) {
+  const correction = -10 * Math.log10(
+    slantDistance(Math.max(0, distanceMeters)) / slantDistance(REFERENCE_DISTANCE_METERS)
+  );
+  return levelAtReference + correction;
+}
+
+export function estimateRoadNoise({
+  trafficRatio,
+  weight,
+  speedKph,
+  heavyVehiclePercent = DEFAULT_HEAVY_VEHICLE_PERCENT,
+  distanceMeters = REFERENCE_DISTANCE_METERS
+}) {
+  const road = classifyRoad(weight);
+  const ratio = Math.max(1, trafficRatio || 1);
+
+  // Congestion slows traffic down and, once it's heavy, thins the flow past a given point
+  const speed = Math.min(
+    MAX_MODEL_SPEED_KPH,
+    Math.max(MIN_MODEL_SPEED_KPH, speedKph || road.freeFlowSpeedKph / ratio)
+  );
+  const flowPerHour = road.flowPerHour * (ratio <= 1.3 ? 1 : 1.3 / ratio);
+
+  // Basic hourly noise level, L10,1h
+  const basicLevel = 42.2 + 10 * Math.log10(flowPerHour);
+
+  // Speed and heavy vehicle correction
+  const speedCorrection =
+    33 * Math.log10(speed + 40 + 500 / speed) +
+    10 * Math.log10(1 + (5 * heavyVehiclePercent) / speed) -
+    68.8;
+
+  // Distance correction, normalised to CoRTN's 13.5 m reference
+  const distanceCorrection = -10 * Math.log10(slantDistance(distanceMeters) / 13.5);
+
+  const l10 = basicLevel + speedCorrection + distanceCorrection;
+
+  return {
+    noiseLevel: Math.round((l10 - 3) * 10) / 10, // LAeq,1h ≈ L10,1h - 3 dB
+    roadClass: road.roadClass,
+    speedKph: Math.round(speed),
+    flowPerHour: Math.round(flowPerHour)
+  };
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  attenuate,
+  classifyThrustPhase,
+  estimateAircraftNoise,
+  estimateSourceLevel,
+  PHASE_SOURCE_LEVELS,
+  REFERENCE_DISTANCE_METERS,
+  UNKNOWN_ALTITUDE_METERS
+} from '../aircraftNoise.js';
+
+const DXB = { lat: 25.2532, lng: 55.3657 };
+
+test('classifyThrustPhase uses the vertical rate, defaulting to level', () => {
+  assert.equal(classifyThrustPhase(10), 'climb');
+  assert.equal(classifyThrustPhase(-10), 'descent');
+  assert.equal(classifyThrustPhase(1), 'level');
+  assert.equal(classifyThrustPhase(null), 'level');
+  assert.equal(classifyThrustPhase(undefined), 'level');
+});
+
+test('estimateSourceLevel corrects for speed within ±5 dB', () => {
+  const climb = PHASE_SOURCE_LEVELS.climb;
+
+  assert.equal(estimateSourceLevel({ phase: 'climb' }), climb.level);
+  assert.equal(estimateSourceLevel({ phase: 'climb', speedMs: climb.referenceSpeedMs }), climb.level);
+  assert.ok(Math.abs(estimateSourceLevel({ phase: 'climb', speedMs: climb.referenceSpeedMs * 2 }) - climb.level - 3.01) < 0.01);
+  assert.equal(estimateSourceLevel({ phase: 'climb', speedMs: 10000 }), climb.level + 5);
+  assert.equal(estimateSourceLevel({ phase: 'unknown' }), PHASE_SOURCE_LEVELS.level.level);
+});
+
+test('attenuate is a no-op at the reference distance and gets quieter further out', () => {
+  assert.equal(attenuate(94, REFERENCE_DISTANCE_METERS), 94);
+  assert.ok(attenuate(94, REFERENCE_DISTANCE_METERS * 2) < 94 - 6);
+});
+
+test('estimateAircraftNoise: a low climbing aircraft is loud with a wide footprint', () => {
+  const estimate = estimateAircraftNoise({ ...DXB, altitude: 300, verticalRate: 10, speedMs: 90 });
+
+  assert.equal(estimate.phase, 'climb');
+  assert.equal(estimate.sourceLevel, 94);
+  assert.ok(estimate.groundLevel > 90);
+  assert.ok(estimate.footprint.length > 0);
+  assert.ok(estimate.footprint.every(cell => cell.noiseLevel >= 50));
+});
+
+test('estimateAircraftNoise: a cruising aircraft leaves no footprint', () => {
+  const estimate = estimateAircraftNoise({ ...DXB, altitude: 12000 });
+
+  assert.equal(estimate.footprint.length, 0);
+  assert.ok(estimate.groundLevel < 50);
+});
+
+test('estimateAircraftNoise assumes UNKNOWN_ALTITUDE_METERS when altitude is missing', () => {
+  assert.deepEqual(
+    estimateAircraftNoise({ ...DXB, altitude: null }),
+    estimateAircraftNoise({ ...DXB, altitude: UNKNOWN_ALTITUDE_METERS })
+  );
+});
+
+test('estimateAircraftNoise footprint cells are centred on the fusion grid', () => {
+  const cellSize = 0.01;
+  const { footprint } = estimateAircraftNoise({ ...DXB, altitude: 300, verticalRate: 10, cellSize });
+
+  for (const cell of footprint) {
+    const row = cell.lat / cellSize - 0.5;
+    const col = cell.lng / cellSize - 0.5;
+    assert.ok(Math.abs(row - Math.round(row)) < 1e-6);
+    assert.ok(Math.abs(col - Math.round(col)) < 1e-6);
+  }
+});
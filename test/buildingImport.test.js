@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBuildingImport, parseCsv } from '../buildingImport.js';
+
+const bounds = { minLat: 22.6, minLng: 51.55, maxLat: 26.3, maxLng: 56.38 };
+
+test('parseCsv handles quotes, escaped quotes, CRLF and blank lines', () => {
+  assert.deepEqual(parseCsv('id,name\r\n1,"Tower, ""A"""\r\n\r\n2,B'), [
+    ['id', 'name'],
+    ['1', 'Tower, "A"'],
+    ['2', 'B']
+  ]);
+});
+
+test('parseBuildingImport reads CSV rows and reports bad ones without failing the file', () => {
+  const csv = [
+    'ID,Latitude,Longitude,Name',
+    'b1,25.2,55.3,Burj',
+    'b2,40,55.3,Elsewhere',
+    ',25.2,55.3,No id',
+    'b1,25.1,55.2,Duplicate',
+    'b3,abc,55.3,Bad lat'
+  ].join('\n');
+
+  const { rows, errors } = parseBuildingImport(csv, 'csv', { bounds });
+
+  assert.deepEqual(rows, [{
+    row: 1, externalId: 'b1', name: 'Burj', emirate: null, lat: 25.2, lng: 55.3, footprint: null
+  }]);
+  assert.deepEqual(errors.map(e => [e.row, e.id, e.errors]), [
+    [2, 'b2', ['location is outside the UAE']],
+    [3, null, ['id is required']],
+    [4, 'b1', ['duplicate id in this import']],
+    [5, 'b3', ['lat must be a number']]
+  ]);
+});
+
+test('parseBuildingImport rejects CSV without the required columns', () => {
+  assert.throws(() => parseBuildingImport('id,name\n1,A', 'csv', { bounds }), /must include id, lat and lng/);
+  assert.throws(() => parseBuildingImport('id,lat,lng\n', 'csv', { bounds }), /No buildings found/);
+});
+
+test('parseBuildingImport reads GeoJSON points and footprints', () => {
+  const square = [[[55.3, 25.2], [55.31, 25.2], [55.31, 25.21], [55.3, 25.2]]];
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      { id: 'p1', geometry: { type: 'Point', coordinates: [55.3, 25.2] }, properties: { emirate: 'Dubai' } },
+      { geometry: { type: 'Polygon', coordinates: square }, properties: { external_id: 'f1' } },
+      { geometry: { type: 'LineString', coordinates: [[55.3, 25.2], [55.4, 25.3]] }, properties: { id: 'l1' } },
+      { geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: { id: 'f2' } }
+    ]
+  };
+
+  const { rows, errors } = parseBuildingImport(collection, 'geojson', { bounds });
+
+  assert.deepEqual(rows.map(row => [row.externalId, row.lat, row.footprint?.type ?? null]), [
+    ['p1', 25.2, null],
+    ['f1', null, 'Polygon']
+  ]);
+  assert.equal(rows[0].emirate, 'Dubai');
+  assert.deepEqual(errors.map(e => [e.row, e.id]), [[3, 'l1'], [4, 'f2']]);
+  assert.deepEqual(errors[1].errors, ['footprint is outside the UAE or has invalid coordinates']);
+});
+
+test('parseBuildingImport rejects anything but a FeatureCollection', () => {
+  assert.throws(() => parseBuildingImport({ type: 'Feature' }, 'geojson', { bounds }), /FeatureCollection/);
+});
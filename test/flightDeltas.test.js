@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlightDeltaLog } from '../flightDeltas.js';
+import { createSubscription, deltaMessageFor } from '../wsProtocol.js';
+
+const flight = (id, overrides = {}) => ({
+  id,
+  lat: 25.25,
+  lng: 55.36,
+  altitude: 1000,
+  noiseLevel: 70,
+  emirate: 'Dubai',
+  timestamp: '2025-01-01T00:00:00Z',
+  footprint: [{ lat: 25.255, lng: 55.365, noiseLevel: 70 }],
+  ...overrides
+});
+
+test('update reports added, moved and removed flights', () => {
+  const log = createFlightDeltaLog();
+
+  assert.deepEqual(log.update([flight('a'), flight('b')]).map(e => [e.type, e.id]), [
+    ['FLIGHT_ADDED', 'a'],
+    ['FLIGHT_ADDED', 'b']
+  ]);
+
+  const entries = log.update([flight('a', { lat: 25.3, timestamp: '2025-01-01T00:00:10Z' })]);
+  assert.deepEqual(entries.map(e => [e.type, e.id]), [
+    ['FLIGHT_MOVED', 'a'],
+    ['FLIGHT_REMOVED', 'b']
+  ]);
+  assert.deepEqual(entries[0].changes, { lat: 25.3, timestamp: '2025-01-01T00:00:10Z' });
+  assert.equal(log.seq, 4);
+});
+
+test('update skips flights whose tracked fields did not change', () => {
+  const log = createFlightDeltaLog();
+  log.update([flight('a')]);
+
+  const entries = log.update([flight('a', {
+    timestamp: '2025-01-01T00:00:10Z',
+    footprint: [{ lat: 25.255, lng: 55.365, noiseLevel: 71 }]
+  })]);
+  assert.deepEqual(entries, []);
+});
+
+test('since replays missed entries or asks for a snapshot', () => {
+  const log = createFlightDeltaLog({ capacity: 2 });
+  log.update([flight('a')]);
+  log.update([flight('a'), flight('b')]);
+  log.update([flight('a'), flight('b'), flight('c')]);
+
+  assert.deepEqual(log.since(log.feedId, 3), []);
+  assert.deepEqual(log.since(log.feedId, 1).map(e => e.id), ['b', 'c']);
+  assert.equal(log.since(log.feedId, 0), null, 'entry 1 has been dropped');
+  assert.equal(log.since('another-feed', 3), null);
+  assert.equal(log.since(log.feedId, 4), null);
+});
+
+test('deltaMessageFor sends only the changes for a flight that stays visible', () => {
+  const log = createFlightDeltaLog();
+  log.update([flight('a')]);
+  const [entry] = log.update([flight('a', { altitude: 1200 })]);
+
+  assert.deepEqual(deltaMessageFor(entry, createSubscription({})), {
+    type: 'FLIGHT_MOVED',
+    seq: 2,
+    id: 'a',
+    changes: { altitude: 1200, timestamp: '2025-01-01T00:00:00Z' }
+  });
+});
+
+test('deltaMessageFor turns crossing the subscribed area into an add or a remove', () => {
+  const subscription = createSubscription({ bbox: [55, 25, 55.5, 25.5] });
+  const log = createFlightDeltaLog();
+  log.update([flight('a', { lat: 26 })]);
+
+  const [entering] = log.update([flight('a')]);
+  const added = deltaMessageFor(entering, subscription);
+  assert.equal(added.type, 'FLIGHT_ADDED');
+  assert.equal(added.data.id, 'a');
+  assert.equal(added.data.footprint, undefined);
+
+  const [leaving] = log.update([flight('a', { lat: 26 })]);
+  assert.deepEqual(deltaMessageFor(leaving, subscription), { type: 'FLIGHT_REMOVED', seq: 3, id: 'a' });
+
+  const [outside] = log.update([flight('a', { lat: 26.1 })]);
+  assert.equal(deltaMessageFor(outside, subscription), null);
+});
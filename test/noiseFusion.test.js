@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { averageDecibels, buildNoiseGrid, sumDecibels } from '../noiseFusion.js';
+
+const close = (actual, expected, tolerance = 0.05) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be about ${expected}`);
+
+const bbox = { minLat: 25, maxLat: 25.2, minLng: 55, maxLng: 55.2 };
+
+test('sumDecibels adds sound energy, not levels', () => {
+  close(sumDecibels([70, 70]), 73.01);
+  close(sumDecibels([70]), 70);
+  assert.equal(sumDecibels([]), null);
+});
+
+test('averageDecibels is the energetic mean', () => {
+  close(averageDecibels([70, 70]), 70);
+  close(averageDecibels([60, 70]), 67.4);
+  assert.equal(averageDecibels([]), null);
+});
+
+test('buildNoiseGrid sums flights, keeps the loudest sample per road and averages buildings', () => {
+  const cells = buildNoiseGrid({
+    bbox,
+    cellSize: 0.01,
+    contributions: [
+      { source: 'flight', lat: 25.101, lng: 55.101, level: 70 },
+      { source: 'flight', lat: 25.102, lng: 55.102, level: 70 },
+      { source: 'road', group: 'E11', lat: 25.103, lng: 55.103, level: 65 },
+      { source: 'road', group: 'E11', lat: 25.104, lng: 55.104, level: 60 },
+      { source: 'building', lat: 25.105, lng: 55.105, level: 60 },
+      { source: 'building', lat: 25.106, lng: 55.106, level: 70 }
+    ]
+  });
+
+  assert.equal(cells.length, 1);
+  const [cell] = cells;
+  assert.equal(cell.lat, 25.105);
+  assert.equal(cell.lng, 55.105);
+  assert.deepEqual(cell.sources.flight, { noiseLevel: 73, count: 2 });
+  assert.deepEqual(cell.sources.road, { noiseLevel: 65, count: 2 });
+  assert.deepEqual(cell.sources.building, { noiseLevel: 67.4, count: 2 });
+  close(cell.noiseLevel, sumDecibels([73, 65, 67.4]), 0.1);
+});
+
+test('buildNoiseGrid treats different road groups as separate emitters', () => {
+  const [cell] = buildNoiseGrid({
+    bbox,
+    cellSize: 0.01,
+    contributions: [
+      { source: 'road', group: 'E11', lat: 25.101, lng: 55.101, level: 65 },
+      { source: 'road', group: 'E311', lat: 25.102, lng: 55.102, level: 65 }
+    ]
+  });
+
+  assert.equal(cell.sources.road.noiseLevel, 68);
+});
+
+test('buildNoiseGrid drops contributions outside the bbox or without a level, loudest cell first', () => {
+  const cells = buildNoiseGrid({
+    bbox,
+    cellSize: 0.01,
+    contributions: [
+      { source: 'flight', lat: 25.011, lng: 55.011, level: 60 },
+      { source: 'flight', lat: 25.151, lng: 55.151, level: 80 },
+      { source: 'flight', lat: 26, lng: 55.1, level: 90 },
+      { source: 'flight', lat: 25.1, lng: 55.1, level: NaN }
+    ]
+  });
+
+  assert.deepEqual(cells.map(cell => cell.noiseLevel), [80, 60]);
+});
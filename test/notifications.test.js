@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotificationService, NotificationError } from '../notifications.js';
+
+function fakePool() {
+  const attempts = [];
+  return {
+    attempts,
+    async query(sql, values) {
+      const [channel, transport, template, locale, recipient, status, providerId, error] = values;
+      attempts.push({ channel, transport, template, locale, recipient, status, providerId, error });
+      return { rows: [], rowCount: 1 };
+    }
+  };
+}
+
+const otp = { template: 'registration_otp', data: { code: '123456', minutes: 10 } };
+
+test('creating the service needs no transport configuration', () => {
+  assert.doesNotThrow(() => createNotificationService(fakePool(), {}));
+});
+
+test('memory transport keeps the message and logs the attempt', async () => {
+  const pool = fakePool();
+  const notifications = createNotificationService(pool, { SMS_TRANSPORT: 'memory' });
+
+  const result = await notifications.send({ channel: 'sms', to: '+971500000000', locale: 'ar', ...otp });
+
+  assert.equal(result.status, 'sent');
+  assert.equal(notifications.outbox.length, 1);
+  assert.equal(notifications.outbox[0].locale, 'ar');
+  assert.deepEqual(pool.attempts.map(a => [a.channel, a.transport, a.status]), [['sms', 'memory', 'sent']]);
+});
+
+test('an unset channel is disabled: the send is logged and rejected', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const pool = fakePool();
+  const notifications = createNotificationService(pool, { SMS_TRANSPORT: 'memory' });
+
+  await assert.rejects(
+    notifications.send({ channel: 'email', to: 'ops@example.com', ...otp }),
+    NotificationError
+  );
+  assert.deepEqual(pool.attempts.map(a => [a.channel, a.status, a.error]), [
+    ['email', 'disabled', 'EMAIL_TRANSPORT is not set']
+  ]);
+  assert.deepEqual(notifications.transports, {
+    sms: 'memory',
+    email: { status: 'disabled', error: 'EMAIL_TRANSPORT is not set' }
+  });
+});
+
+test('a misconfigured channel fails its sends without affecting the other channel', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const pool = fakePool();
+  const notifications = createNotificationService(pool, {
+    NODE_ENV: 'production',
+    SMS_TRANSPORT: 'file',
+    EMAIL_TRANSPORT: 'carrier-pigeon'
+  });
+
+  await assert.rejects(notifications.send({ channel: 'sms', to: '+971500000000', ...otp }), NotificationError);
+  await assert.rejects(notifications.send({ channel: 'email', to: 'ops@example.com', ...otp }), NotificationError);
+  assert.deepEqual(pool.attempts.map(a => a.status), ['failed', 'failed']);
+  assert.match(pool.attempts[0].error, /development only/);
+  assert.match(pool.attempts[1].error, /Unknown email transport/);
+});
+
+test('send rejects unknown channels', async () => {
+  const notifications = createNotificationService(fakePool(), {});
+  await assert.rejects(notifications.send({ channel: 'fax', to: '1', ...otp }), /Unknown notification channel/);
+});
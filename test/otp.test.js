@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateOtp, hashOtp, OTP_LENGTH, otpMatches } from '../otp.js';
+
+const env = { OTP_SECRET: 'otp-secret' };
+
+test('generateOtp returns OTP_LENGTH digits', () => {
+  for (let i = 0; i < 100; i++) {
+    assert.match(generateOtp(), new RegExp(`^\\d{${OTP_LENGTH}}$`));
+  }
+});
+
+test('otpMatches accepts the code it was hashed from', () => {
+  const stored = hashOtp('123456', '+971500000000', env);
+
+  assert.equal(otpMatches('123456', '+971500000000', stored, env), true);
+  assert.equal(otpMatches('654321', '+971500000000', stored, env), false);
+});
+
+test('a hash is bound to what the code was issued for', () => {
+  const stored = hashOtp('123456', '+971500000000', env);
+
+  assert.equal(otpMatches('123456', '+971500000001', stored, env), false);
+});
+
+test('hashes depend on the secret, falling back to JWT_SECRET', () => {
+  assert.notEqual(hashOtp('123456', 'user', env), hashOtp('123456', 'user', { OTP_SECRET: 'other' }));
+  assert.equal(hashOtp('123456', 'user', { JWT_SECRET: 'otp-secret' }), hashOtp('123456', 'user', env));
+  assert.throws(() => hashOtp('123456', 'user', {}), /OTP_SECRET or JWT_SECRET must be set/);
+});
+
+test('otpMatches rejects a missing or malformed stored hash', () => {
+  assert.equal(otpMatches('123456', 'user', null, env), false);
+  assert.equal(otpMatches('123456', 'user', 'abcd', env), false);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_HEATMAP_GRID_SIZE,
+  heatmapCellCount,
+  heatmapFramesQuerySchema,
+  heatmapHistoryQuerySchema,
+  MAX_HEATMAP_CELLS,
+  UAE_BOUNDS
+} from '../querySchemas.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('heatmap history accepts a request without any parameters', () => {
+  const query = heatmapHistoryQuerySchema.parse({});
+
+  assert.deepEqual(query.bbox, UAE_BOUNDS);
+  assert.equal(query.gridSize, DEFAULT_HEATMAP_GRID_SIZE);
+  assert.deepEqual(query.source, ['flight']);
+  assert.equal(query.minCount, 2);
+  assert.equal(query.normalize, 'fixed');
+  assert.equal(query.scale, 50);
+  assert.equal(query.to - query.from, DAY_MS);
+  assert.ok(heatmapCellCount(UAE_BOUNDS, DEFAULT_HEATMAP_GRID_SIZE) <= MAX_HEATMAP_CELLS);
+});
+
+test('heatmap frames accepts a request with only a bucket', () => {
+  const query = heatmapFramesQuerySchema.parse({ bucket: '1h' });
+
+  assert.deepEqual(query.bbox, UAE_BOUNDS);
+  assert.equal(query.gridSize, DEFAULT_HEATMAP_GRID_SIZE);
+  assert.equal(query.bucket, '1h');
+  assert.equal(heatmapFramesQuerySchema.parse({}).bucket, '1h');
+});
+
+test('heatmap queries reject the whole UAE at a fine grid', () => {
+  const result = heatmapHistoryQuerySchema.safeParse({ gridSize: '0.0005' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error.issues[0].message, /bbox is too large/);
+  assert.equal(heatmapHistoryQuerySchema.safeParse({ gridSize: '0.0005', bbox: '55.3,25.2,55.4,25.3' }).success, true);
+});
+
+test('heatmap frames limits the number of frames, not the area, for a week of 5 minute buckets', () => {
+  const to = new Date('2025-01-08T00:00:00Z');
+  const from = new Date(to.getTime() - 7 * DAY_MS);
+  const result = heatmapFramesQuerySchema.safeParse({ from: from.toISOString(), to: to.toISOString(), bucket: '5m' });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues.map(issue => issue.message), [
+    'Too many frames; use a larger bucket or a shorter time range (max 500)'
+  ]);
+  assert.equal(heatmapFramesQuerySchema.safeParse({ from: from.toISOString(), to: to.toISOString(), bucket: '1h' }).success, true);
+});
+
+test('heatmap queries reject ranges over 7 days and reversed ranges', () => {
+  assert.equal(heatmapHistoryQuerySchema.safeParse({ from: '2025-01-01', to: '2025-01-09' }).success, false);
+  assert.equal(heatmapHistoryQuerySchema.safeParse({ from: '2025-01-02', to: '2025-01-01' }).success, false);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, rateLimit } from '../rateLimit.js';
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('consume allows max hits per window, then reports the wait', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const limiter = createRateLimiter({ name: 'test', windowMs: 60000, max: 2 });
+
+  assert.equal(limiter.consume('a'), 0);
+  assert.equal(limiter.consume('a'), 0);
+  t.mock.timers.tick(15000);
+  assert.equal(limiter.consume('a'), 45000);
+  assert.equal(limiter.consume('b'), 0, 'keys are counted separately');
+
+  t.mock.timers.tick(45000);
+  assert.equal(limiter.consume('a'), 0, 'a new window starts');
+});
+
+test('rateLimit answers 429 with Retry-After once a limiter is exhausted', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  t.mock.method(console, 'warn', () => {});
+  const limiter = createRateLimiter({ name: 'test', windowMs: 60000, max: 1 });
+  const middleware = rateLimit({ limiter, key: req => req.body.email });
+  const req = { method: 'POST', path: '/api/auth/login', body: { email: 'A@example.com' } };
+
+  let calls = 0;
+  middleware(req, fakeResponse(), () => calls++);
+  assert.equal(calls, 1);
+
+  // Keys are case-insensitive
+  const res = fakeResponse();
+  middleware({ ...req, body: { email: 'a@example.com' } }, res, () => calls++);
+  assert.equal(calls, 1);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Retry-After'], '60');
+  assert.deepEqual(res.body, {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    retryAfter: 60
+  });
+});
+
+test('rateLimit skips limiters whose key is missing', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const limiter = createRateLimiter({ name: 'test', windowMs: 60000, max: 0 });
+  const middleware = rateLimit({ limiter, key: req => req.body.email });
+
+  let calls = 0;
+  middleware({ body: {} }, fakeResponse(), () => calls++);
+  middleware({ body: { email: '' } }, fakeResponse(), () => calls++);
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attenuateRoadNoise, classifyRoad, estimateRoadNoise, REFERENCE_DISTANCE_METERS } from '../roadNoise.js';
+
+test('classifyRoad maps route weight to a road class', () => {
+  assert.equal(classifyRoad(1).roadClass, 'motorway');
+  assert.equal(classifyRoad(0.85).roadClass, 'arterial');
+  assert.equal(classifyRoad(0.2).roadClass, 'urban');
+});
+
+test('estimateRoadNoise gives a free-flowing motorway its free-flow speed and flow', () => {
+  const estimate = estimateRoadNoise({ trafficRatio: 1, weight: 1 });
+
+  assert.equal(estimate.roadClass, 'motorway');
+  assert.equal(estimate.speedKph, 120);
+  assert.equal(estimate.flowPerHour, 6000);
+  assert.equal(estimate.noiseLevel, 82.7);
+});
+
+test('estimateRoadNoise: congestion slows and thins traffic, so it gets quieter', () => {
+  const freeFlow = estimateRoadNoise({ trafficRatio: 1, weight: 1 });
+  const congested = estimateRoadNoise({ trafficRatio: 2, weight: 1 });
+
+  assert.equal(congested.speedKph, 60);
+  assert.equal(congested.flowPerHour, 3900);
+  assert.ok(congested.noiseLevel < freeFlow.noiseLevel);
+});
+
+test('estimateRoadNoise treats a missing or sub-1 ratio as free flow', () => {
+  const freeFlow = estimateRoadNoise({ trafficRatio: 1, weight: 0.5 });
+
+  assert.deepEqual(estimateRoadNoise({ trafficRatio: null, weight: 0.5 }), freeFlow);
+  assert.deepEqual(estimateRoadNoise({ trafficRatio: 0.8, weight: 0.5 }), freeFlow);
+});
+
+test('estimateRoadNoise falls off with distance from the kerb', () => {
+  const near = estimateRoadNoise({ trafficRatio: 1, weight: 1 });
+  const far = estimateRoadNoise({ trafficRatio: 1, weight: 1, distanceMeters: 100 });
+
+  assert.ok(far.noiseLevel < near.noiseLevel);
+});
+
+test('attenuateRoadNoise is a no-op at the reference distance and about -3 dB per doubling', () => {
+  assert.equal(attenuateRoadNoise(70, REFERENCE_DISTANCE_METERS), 70);
+
+  const at200 = attenuateRoadNoise(70, 200);
+  const at400 = attenuateRoadNoise(70, 400);
+  assert.ok(Math.abs(at200 - at400 - 3) < 0.1);
+});
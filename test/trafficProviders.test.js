@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePolyline, parseRoutesResponse } from '../trafficProviders.js';
+
+// Google's documented example: (38.5, -120.2), (40.7, -120.95), (43.252, -126.453)
+const POLYLINE = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+const routesResponse = (speedReadingIntervals, { duration = '900s', staticDuration = '600s' } = {}) => ({
+  routes: [{
+    duration,
+    staticDuration,
+    polyline: { encodedPolyline: POLYLINE },
+    travelAdvisory: { speedReadingIntervals }
+  }]
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test('decodePolyline decodes the documented example', () => {
+  assert.deepEqual(decodePolyline(POLYLINE), [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 }
+  ]);
+});
+
+test('parseRoutesResponse puts the delay on the jammed stretch', () => {
+  // Proto3 leaves out startPolylinePointIndex when it is 0
+  const { normalDuration, trafficDuration, segments } = parseRoutesResponse(routesResponse([
+    { endPolylinePointIndex: 1, speed: 'NORMAL' },
+    { startPolylinePointIndex: 1, endPolylinePointIndex: 2, speed: 'TRAFFIC_JAM' }
+  ]));
+
+  assert.equal(normalDuration, 600);
+  assert.equal(trafficDuration, 900);
+  assert.equal(segments.length, 2);
+  assert.equal(segments[0].trafficDuration, segments[0].normalDuration);
+  assert.ok(Math.abs(segments[1].trafficDuration - segments[1].normalDuration - 300) < 1e-9);
+  assert.ok(Math.abs(sum(segments.map(s => s.trafficDuration)) - 900) < 1e-9);
+});
+
+test('parseRoutesResponse treats gaps between intervals as free-flowing', () => {
+  const { segments } = parseRoutesResponse(routesResponse([
+    { startPolylinePointIndex: 1, endPolylinePointIndex: 2, speed: 'SLOW' }
+  ]));
+
+  assert.equal(segments.length, 2);
+  assert.deepEqual(segments[0].points, [{ lat: 38.5, lng: -120.2 }, { lat: 40.7, lng: -120.95 }]);
+  assert.equal(segments[0].trafficDuration, segments[0].normalDuration);
+});
+
+test('parseRoutesResponse spreads an unplaced delay evenly by distance', () => {
+  const { segments } = parseRoutesResponse(routesResponse([]));
+
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].normalDuration, 600);
+  assert.equal(segments[0].trafficDuration, 900);
+});
+
+test('parseRoutesResponse reports API errors', () => {
+  assert.throws(
+    () => parseRoutesResponse({ error: { message: 'API key not valid' } }),
+    /Routes API error: API key not valid/
+  );
+  assert.throws(() => parseRoutesResponse({ routes: [] }), /Routes API returned no routes/);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedChannels, CHANNELS, parseClientMessage, parseConnectionQuery } from '../wsProtocol.js';
+
+test('anonymous sockets get the same channels as the public HTTP endpoints', () => {
+  assert.deepEqual(allowedChannels(null), ['flight', 'road']);
+  assert.deepEqual(allowedChannels({ userId: 1 }), CHANNELS);
+});
+
+test('parseClientMessage validates SUBSCRIBE messages', () => {
+  const { message } = parseClientMessage(JSON.stringify({ type: 'SUBSCRIBE', sources: ['road'], bbox: [55, 25, 55.5, 25.5] }));
+  assert.deepEqual(message.sources, ['road']);
+
+  const { error } = parseClientMessage(JSON.stringify({ type: 'SUBSCRIBE', lastSeq: 3 }));
+  assert.deepEqual(JSON.parse(error), {
+    type: 'ERROR',
+    code: 'INVALID_PAYLOAD',
+    message: 'Invalid SUBSCRIBE message.',
+    errors: ['lastSeq: lastSeq requires feedId']
+  });
+
+  assert.equal(JSON.parse(parseClientMessage('not json').error).code, 'INVALID_JSON');
+  assert.equal(JSON.parse(parseClientMessage('{"type":"PING"}').error).code, 'UNKNOWN_MESSAGE_TYPE');
+});
+
+test('parseConnectionQuery reads resume parameters from the URL', () => {
+  assert.deepEqual(parseConnectionQuery('/?feedId=abc&lastSeq=12'), { deltas: true, feedId: 'abc', lastSeq: 12 });
+  assert.deepEqual(parseConnectionQuery('/'), { deltas: false, feedId: undefined, lastSeq: undefined });
+  assert.equal(parseConnectionQuery('/?lastSeq=-1'), null);
+});
@@ -0,0 +1,387 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathLengthMeters } from './geo.js';
+
+// Every provider exposes the same shape so the /api/traffic/roads pipeline doesn't
+// care where the numbers came from:
+//
+//   provider.name
+//   provider.fetchRoute(route) -> {
+//     normalDuration,   // seconds without traffic, whole route
+//     trafficDuration,  // seconds with current traffic, whole route
+//     segments: [{      // consecutive stretches of the route, in driving order
+//       normalDuration,
+//       trafficDuration,
+//       distance,       // meters
+//       points          // [{ lat, lng }]
+//     }]
+//   }
+//
+// fetchRoute throws when the provider can't return a usable route.
+
+// Decode Google polyline format
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let b;
+    let shift = 0;
+    let result = 0;
+
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+
+    const dlat = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lat += dlat;
+
+    shift = 0;
+    result = 0;
+
+    do {
+      b = encoded.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+
+    const dlng = ((result & 1) ? ~(result >> 1) : (result >> 1));
+    lng += dlng;
+
+    points.push({
+      lat: lat / 1e5,
+      lng: lng / 1e5
+    });
+  }
+
+  return points;
+}
+
+function routeSlug(route) {
+  return route.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Legacy Directions API responses; only recordings made before the Google provider moved to
+// the Routes API still look like this. Directions reports duration_in_traffic for the leg
+// alone, so every step gets the leg-wide ratio: congestion can't be placed along the route.
+function parseDirectionsResponse(data) {
+  if (data.status !== 'OK') {
+    throw new Error(`Directions API status: ${data.status}`);
+  }
+
+  const routeData = data.routes[0];
+  if (!routeData) {
+    throw new Error('Directions API returned no routes');
+  }
+
+  const leg = routeData.legs[0];
+  const normalDuration = leg.duration.value;
+  const trafficDuration = leg.duration_in_traffic?.value || normalDuration;
+
+  if (!leg.steps?.length) {
+    return {
+      normalDuration,
+      trafficDuration,
+      segments: [{
+        normalDuration,
+        trafficDuration,
+        distance: leg.distance.value,
+        points: decodePolyline(routeData.overview_polyline.points)
+      }]
+    };
+  }
+
+  const legRatio = trafficDuration / normalDuration;
+
+  return {
+    normalDuration,
+    trafficDuration,
+    segments: leg.steps.map(step => ({
+      normalDuration: step.duration.value,
+      trafficDuration: step.duration.value * legRatio,
+      distance: step.distance.value,
+      points: decodePolyline(step.polyline.points)
+    }))
+  };
+}
+
+// Relative share of a route's delay given to each Routes API speed category
+const SPEED_DELAY_WEIGHTS = { NORMAL: 0, SLOW: 1, TRAFFIC_JAM: 3 };
+
+const parseSeconds = (value) => parseFloat(value ?? '0'); // Routes API durations look like "123s"
+
+// Routes API (computeRoutes with TRAFFIC_ON_POLYLINE). speedReadingIntervals say where along
+// the polyline traffic is normal, slow or jammed, but not by how much, so the route's total
+// delay is shared out over the slow and jammed stretches by length and severity. If the
+// route is delayed without any interval saying where, the delay is spread evenly.
+export function parseRoutesResponse(data) {
+  const routeData = data.routes?.[0];
+  if (!routeData) {
+    throw new Error(data.error?.message ? `Routes API error: ${data.error.message}` : 'Routes API returned no routes');
+  }
+
+  const trafficDuration = parseSeconds(routeData.duration);
+  const normalDuration = parseSeconds(routeData.staticDuration) || trafficDuration;
+  const points = decodePolyline(routeData.polyline.encodedPolyline);
+  const intervals = [...(routeData.travelAdvisory?.speedReadingIntervals ?? [])]
+    .sort((a, b) => (a.startPolylinePointIndex ?? 0) - (b.startPolylinePointIndex ?? 0));
+
+  const stretches = [];
+  const pushStretch = (startIndex, endIndex, speed) => {
+    const stretchPoints = points.slice(startIndex, endIndex + 1);
+    if (stretchPoints.length < 2) return;
+    stretches.push({ points: stretchPoints, distance: pathLengthMeters(stretchPoints), speed });
+  };
+
+  // Proto3 leaves out zero indexes, and gaps between intervals are free-flowing
+  let cursor = 0;
+  for (const interval of intervals) {
+    const start = interval.startPolylinePointIndex ?? 0;
+    const end = interval.endPolylinePointIndex ?? 0;
+    if (start > cursor) pushStretch(cursor, start, 'NORMAL');
+    pushStretch(start, end, interval.speed ?? 'NORMAL');
+    cursor = Math.max(cursor, end);
+  }
+  if (cursor < points.length - 1) {
+    pushStretch(cursor, points.length - 1, 'NORMAL');
+  }
+
+  const totalDistance = stretches.reduce((sum, stretch) => sum + stretch.distance, 0) || 1;
+  const delay = Math.max(0, trafficDuration - normalDuration);
+  const delayWeight = (stretch) => stretch.distance * (SPEED_DELAY_WEIGHTS[stretch.speed] ?? 0);
+  const totalDelayWeight = stretches.reduce((sum, stretch) => sum + delayWeight(stretch), 0);
+
+  return {
+    normalDuration,
+    trafficDuration,
+    segments: stretches.map(stretch => {
+      const share = totalDelayWeight > 0 ? delayWeight(stretch) / totalDelayWeight : stretch.distance / totalDistance;
+      const segmentNormalDuration = normalDuration * stretch.distance / totalDistance;
+      return {
+        normalDuration: segmentNormalDuration,
+        trafficDuration: segmentNormalDuration + delay * share,
+        distance: stretch.distance,
+        points: stretch.points
+      };
+    })
+  };
+}
+
+// Recordings hold whichever API the Google provider was using when they were made
+function parseGoogleResponse(data) {
+  return data.routes?.[0]?.polyline ? parseRoutesResponse(data) : parseDirectionsResponse(data);
+}
+
+// TomTom traffic sections index into the route's point list; stretches between
+// sections are free-flowing
+function buildTomTomSegments(points, sections, secondsPerMeter) {
+  const segments = [];
+  const trafficSections = sections
+    .filter(section => section.sectionType === 'TRAFFIC')
+    .sort((a, b) => a.startPointIndex - b.startPointIndex);
+
+  const pushSegment = (startIndex, endIndex, delaySeconds) => {
+    const segmentPoints = points.slice(startIndex, endIndex + 1);
+    if (segmentPoints.length < 2) return;
+    const distance = pathLengthMeters(segmentPoints);
+    const normalDuration = distance * secondsPerMeter;
+    segments.push({
+      normalDuration,
+      trafficDuration: normalDuration + delaySeconds,
+      distance,
+      points: segmentPoints
+    });
+  };
+
+  let cursor = 0;
+  for (const section of trafficSections) {
+    if (section.startPointIndex > cursor) {
+      pushSegment(cursor, section.startPointIndex, 0);
+    }
+    pushSegment(section.startPointIndex, section.endPointIndex, section.delayInSeconds || 0);
+    cursor = Math.max(cursor, section.endPointIndex);
+  }
+  if (cursor < points.length - 1) {
+    pushSegment(cursor, points.length - 1, 0);
+  }
+
+  return segments;
+}
+
+async function recordResponse(recordDir, route, data) {
+  const routeDir = path.join(recordDir, routeSlug(route));
+  await fs.mkdir(routeDir, { recursive: true });
+  await fs.writeFile(
+    path.join(routeDir, `${Date.now()}.json`),
+    JSON.stringify(data)
+  );
+}
+
+const ROUTES_API_URL = 'https://routes.googleapis.com/directions/v2:computeRoutes';
+const ROUTES_FIELD_MASK = [
+  'routes.duration',
+  'routes.staticDuration',
+  'routes.polyline.encodedPolyline',
+  'routes.travelAdvisory.speedReadingIntervals'
+].join(',');
+
+function createGoogleProvider({ apiKey, recordDir }) {
+  if (!apiKey) {
+    throw new Error('GOOGLE_MAPS_API_KEY not found in environment variables');
+  }
+
+  const waypoint = ({ lat, lng }) => ({ location: { latLng: { latitude: lat, longitude: lng } } });
+
+  return {
+    name: 'google',
+    async fetchRoute(route) {
+      const response = await fetch(ROUTES_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-Api-Key': apiKey,
+          'X-Goog-FieldMask': ROUTES_FIELD_MASK
+        },
+        body: JSON.stringify({
+          origin: waypoint(route.start),
+          destination: waypoint(route.end),
+          travelMode: 'DRIVE',
+          routingPreference: 'TRAFFIC_AWARE_OPTIMAL',
+          extraComputations: ['TRAFFIC_ON_POLYLINE']
+        })
+      });
+      const data = await response.json();
+
+      if (recordDir) {
+        try {
+          await recordResponse(recordDir, route, data);
+        } catch (error) {
+          console.error(`❌ Failed to record Routes API response for ${route.name}:`, error.message);
+        }
+      }
+
+      if (!response.ok) {
+        throw new Error(`Routes API error: ${response.status} ${data.error?.message ?? response.statusText}`);
+      }
+      return parseRoutesResponse(data);
+    }
+  };
+}
+
+function createTomTomProvider({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('TOMTOM_API_KEY not found in environment variables');
+  }
+
+  return {
+    name: 'tomtom',
+    async fetchRoute(route) {
+      const url = `https://api.tomtom.com/routing/1/calculateRoute/` +
+        `${route.start.lat},${route.start.lng}:${route.end.lat},${route.end.lng}/json?` +
+        `traffic=true&` +
+        `computeTravelTimeFor=all&` +
+        `sectionType=traffic&` +
+        `routeType=fastest&` +
+        `key=${apiKey}`;
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`TomTom API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const routeData = data.routes?.[0];
+      if (!routeData) {
+        throw new Error('TomTom API returned no routes');
+      }
+
+      const { summary } = routeData;
+      const normalDuration = summary.noTrafficTravelTimeInSeconds ?? summary.travelTimeInSeconds;
+      const points = routeData.legs.flatMap(leg =>
+        leg.points.map(p => ({ lat: p.latitude, lng: p.longitude }))
+      );
+
+      return {
+        normalDuration,
+        trafficDuration: summary.travelTimeInSeconds,
+        segments: buildTomTomSegments(
+          points,
+          routeData.sections || [],
+          normalDuration / summary.lengthInMeters
+        )
+      };
+    }
+  };
+}
+
+// Replays responses recorded by the Google provider (TRAFFIC_RECORD_DIR).
+// Looks for <dir>/<route-slug>/*.json and cycles through them in order, or a single
+// <dir>/<route-slug>.json fixture.
+function createReplayProvider({ replayDir }) {
+  if (!replayDir) {
+    throw new Error('TRAFFIC_REPLAY_DIR not found in environment variables');
+  }
+
+  const cursors = new Map();
+
+  async function listRecordings(route) {
+    const slug = routeSlug(route);
+    const routeDir = path.join(replayDir, slug);
+
+    try {
+      const files = (await fs.readdir(routeDir))
+        .filter(file => file.endsWith('.json'))
+        .sort();
+      if (files.length > 0) {
+        return files.map(file => path.join(routeDir, file));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const singleFile = path.join(replayDir, `${slug}.json`);
+    try {
+      await fs.access(singleFile);
+      return [singleFile];
+    } catch {
+      throw new Error(`No recorded responses for route "${route.name}" in ${replayDir}`);
+    }
+  }
+
+  return {
+    name: 'replay',
+    async fetchRoute(route) {
+      const recordings = await listRecordings(route);
+      const cursor = cursors.get(route.name) ?? 0;
+      cursors.set(route.name, (cursor + 1) % recordings.length);
+
+      const data = JSON.parse(await fs.readFile(recordings[cursor % recordings.length], 'utf8'));
+      return parseGoogleResponse(data);
+    }
+  };
+}
+
+const PROVIDERS = {
+  google: createGoogleProvider,
+  tomtom: createTomTomProvider,
+  replay: createReplayProvider
+};
+
+export function createTrafficProvider(env = process.env) {
+  const name = (env.TRAFFIC_PROVIDER || 'google').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown TRAFFIC_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory({
+    apiKey: name === 'tomtom' ? env.TOMTOM_API_KEY : env.GOOGLE_MAPS_API_KEY,
+    recordDir: env.TRAFFIC_RECORD_DIR,
+    replayDir: env.TRAFFIC_REPLAY_DIR
+  });
+}
@@ -0,0 +1,186 @@
+import { z } from 'zod';
+
+// Client -> server messages on the WebSocket feed:
+//
+//   { type: 'SUBSCRIBE', bbox?: [minLng, minLat, maxLng, maxLat], sources?: ['flight'], emirates?: ['Dubai'],
+//     deltas?: true, feedId?: '...', lastSeq?: 123 }
+//   { type: 'UNSUBSCRIBE' }
+//
+// A socket that never subscribes gets the full feed, as before. SUBSCRIBE replaces the
+// socket's filters; UNSUBSCRIBE stops data messages until the next SUBSCRIBE.
+// Anything else gets an ERROR reply with a machine-readable code.
+//
+// Connections may carry a JWT from /api/auth/login or /api/auth/verify-otp (?token=... or an
+// Authorization: Bearer header). Anonymous sockets only get the public channels.
+//
+// With `deltas`, flights arrive as FLIGHT_ADDED / FLIGHT_MOVED / FLIGHT_REMOVED messages
+// carrying a sequence number instead of a NOISE_DATA_UPDATE every poll. Sequence numbers
+// are feed-wide, so a filtered subscription sees gaps. A client that reconnects with the
+// feedId and the last seq it saw (in SUBSCRIBE, or as ?deltas=1&feedId=..&lastSeq=.. on the
+// connection URL) gets the missed deltas, or a fresh snapshot if they are no longer kept.
+// Deltas leave out the ground footprint: FLIGHT_ADDED has every other field and FLIGHT_MOVED
+// only the fields that changed. Footprints come from /api/flights/:icao24/footprint.
+
+export const CHANNELS = ['flight', 'road'];
+
+// A channel belongs here only if its HTTP counterpart requires sign-in too; otherwise the
+// socket check protects nothing. Road traffic is public at /api/traffic/roads, so it's
+// public here as well.
+export const AUTHENTICATED_CHANNELS = [];
+
+export function allowedChannels(user) {
+  return user ? CHANNELS : CHANNELS.filter(channel => !AUTHENTICATED_CHANNELS.includes(channel));
+}
+
+const bboxTupleSchema = z.tuple([
+  z.number().min(-180).max(180),
+  z.number().min(-90).max(90),
+  z.number().min(-180).max(180),
+  z.number().min(-90).max(90)
+]).refine(([minLng, minLat, maxLng, maxLat]) => minLng < maxLng && minLat < maxLat, {
+  message: "bbox minimums must be smaller than maximums"
+});
+
+const subscribeSchema = z.object({
+  type: z.literal('SUBSCRIBE'),
+  bbox: bboxTupleSchema.optional(),
+  sources: z.array(z.enum(CHANNELS)).min(1).optional(),
+  emirates: z.array(z.string().trim().min(1)).min(1).optional(),
+  deltas: z.boolean().optional(),
+  feedId: z.string().optional(),
+  lastSeq: z.number().int().min(0).optional()
+}).refine(message => message.lastSeq === undefined || message.feedId !== undefined, {
+  message: "lastSeq requires feedId",
+  path: ['lastSeq']
+});
+
+// Resume parameters on the connection URL, for clients that stay on the default subscription
+const connectionQuerySchema = z.object({
+  deltas: z.enum(['0', '1', 'true', 'false']).optional(),
+  feedId: z.string().optional(),
+  lastSeq: z.coerce.number().int().min(0).optional()
+});
+
+const unsubscribeSchema = z.object({
+  type: z.literal('UNSUBSCRIBE')
+});
+
+const MESSAGE_SCHEMAS = {
+  SUBSCRIBE: subscribeSchema,
+  UNSUBSCRIBE: unsubscribeSchema
+};
+
+export function errorMessage(code, message, errors) {
+  return JSON.stringify({
+    type: 'ERROR',
+    code,
+    message,
+    ...(errors ? { errors } : {})
+  });
+}
+
+// Returns { message } on success or { error } holding a ready-to-send ERROR payload
+export function parseClientMessage(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw.toString());
+  } catch {
+    return { error: errorMessage('INVALID_JSON', 'Messages must be valid JSON.') };
+  }
+
+  const schema = MESSAGE_SCHEMAS[data?.type];
+  if (!schema) {
+    return {
+      error: errorMessage(
+        'UNKNOWN_MESSAGE_TYPE',
+        `Unknown message type "${data?.type}". Expected one of: ${Object.keys(MESSAGE_SCHEMAS).join(', ')}`
+      )
+    };
+  }
+
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    return {
+      error: errorMessage(
+        'INVALID_PAYLOAD',
+        `Invalid ${data.type} message.`,
+        result.error.issues.map(e => `${e.path.join('.') || 'message'}: ${e.message}`)
+      )
+    };
+  }
+
+  return { message: result.data };
+}
+
+// Returns { deltas, feedId, lastSeq } or null when the query is malformed
+export function parseConnectionQuery(url) {
+  const params = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+  const result = connectionQuerySchema.safeParse(params);
+  if (!result.success) return null;
+
+  const { deltas, feedId, lastSeq } = result.data;
+  return {
+    deltas: deltas === '1' || deltas === 'true' || lastSeq !== undefined,
+    feedId,
+    lastSeq
+  };
+}
+
+// Browsers can't set headers on a WebSocket handshake, so the query string is accepted too
+export function connectionToken(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+export function createSubscription({ bbox, sources, emirates }) {
+  return {
+    bbox: bbox ? { minLng: bbox[0], minLat: bbox[1], maxLng: bbox[2], maxLat: bbox[3] } : null,
+    sources: sources ? new Set(sources) : null,
+    emirates: emirates ? new Set(emirates.map(e => e.toLowerCase())) : null
+  };
+}
+
+export function describeSubscription(subscription) {
+  return {
+    bbox: subscription.bbox,
+    sources: subscription.sources ? [...subscription.sources] : CHANNELS,
+    emirates: subscription.emirates ? [...subscription.emirates] : null
+  };
+}
+
+export function wantsChannel(subscription, channel) {
+  return !subscription.sources || subscription.sources.has(channel);
+}
+
+export function matchesSubscription(point, subscription) {
+  const { bbox, emirates } = subscription;
+  if (bbox && (point.lng < bbox.minLng || point.lng > bbox.maxLng || point.lat < bbox.minLat || point.lat > bbox.maxLat)) {
+    return false;
+  }
+  if (emirates && !emirates.has(String(point.emirate).toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+// How a feed-wide delta looks from one subscription: a flight crossing into the
+// subscribed area is an addition, leaving it is a removal
+export function deltaMessageFor(entry, subscription) {
+  const wasVisible = entry.previous !== null && matchesSubscription(entry.previous, subscription);
+  const isVisible = entry.current !== null && matchesSubscription(entry.current, subscription);
+
+  if (isVisible && wasVisible) {
+    return { type: 'FLIGHT_MOVED', seq: entry.seq, id: entry.id, changes: entry.changes };
+  }
+  if (isVisible) {
+    const { footprint, ...flight } = entry.current;
+    return { type: 'FLIGHT_ADDED', seq: entry.seq, data: flight };
+  }
+  if (wasVisible) {
+    return { type: 'FLIGHT_REMOVED', seq: entry.seq, id: entry.id };
+  }
+  return null;
+}